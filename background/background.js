@@ -19,6 +19,8 @@
 
 import { StateManager } from './state-manager.js';
 import { ScreenshotService } from './screenshot-service.js';
+import { SidePanelBridge } from './side-panel-bridge.js';
+import { SessionMirror } from './session-mirror.js';
 import { 
   isRestrictedUrl, 
   isTrackingDomain, 
@@ -30,10 +32,19 @@ import { log, sfLog } from '../shared/logging.js';
 // Create service instances
 const stateManager = new StateManager();
 const screenshotService = new ScreenshotService();
+const sidePanelBridge = new SidePanelBridge(stateManager, screenshotService);
+const sessionMirror = new SessionMirror(stateManager);
 
 // Initialize fresh state
 function resetState() {
   stateManager.resetState();
+  screenshotService.clearRedactionLog();
+}
+
+// Propagate recording state changes to the side panel and the resilience mirror
+function onSessionStateChanged() {
+  sidePanelBridge.broadcastState();
+  sessionMirror.saveMeta();
 }
 
 // Start a new capture session
@@ -49,6 +60,9 @@ async function startCapture() {
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
   log("Current tab:", tab.id, tab.url);
   
+  // The starting tab is the first tab of the session; tabs it opens join later
+  stateManager.registerSessionTab(tab);
+  
   // Check if the tab is on a restricted URL
   if (isRestrictedUrl(tab.url)) {
     log("Cannot capture on restricted URL:", tab.url);
@@ -101,7 +115,8 @@ async function startCapture() {
       chrome.tabs.sendMessage(tab.id, {
         action: "startCapture",
         sessionId: stateManager.sessionId,
-        isSalesforce: isSalesforce
+        isSalesforce: isSalesforce,
+        isPaused: stateManager.isPaused
       }, response => {
         if (chrome.runtime.lastError) {
           console.warn("Content script connection error:", chrome.runtime.lastError);
@@ -131,6 +146,7 @@ async function startCapture() {
   // Update UI
   await chrome.action.setBadgeText({ text: "REC" });
   await chrome.action.setBadgeBackgroundColor({ color: "#00B3A4" });
+  onSessionStateChanged();
   log("Capture session started successfully");
 }
 
@@ -140,12 +156,20 @@ async function stopCapture() {
   if (!stateManager.isCapturing) return;
   
   stateManager.isCapturing = false;
+  stateManager.isPaused = false;
   
-  // Get current tab
-  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  // Stop every tab and popup window the session followed
+  for (const tabId of Object.keys(stateManager.sessionTabs).map(Number)) {
+    let tab;
+    try {
+      tab = await chrome.tabs.get(tabId);
+    } catch (error) {
+      continue; // Tab was closed during the recording
+    }
   
-  // Only attempt to execute scripts if the tab is not on a restricted URL
-  if (!isRestrictedUrl(tab.url)) {
+    // Only attempt to execute scripts if the tab is not on a restricted URL
+    if (isRestrictedUrl(tab.url)) continue;
+    
     // Remove session indicator
     try {
       await chrome.scripting.executeScript({
@@ -174,6 +198,7 @@ async function stopCapture() {
   
   // Update UI
   await chrome.action.setBadgeText({ text: "" });
+  onSessionStateChanged();
   
   // Open editor if we have steps
   log("Steps captured:", stateManager.steps.length);
@@ -184,6 +209,75 @@ async function stopCapture() {
   }
 }
 
+// Pause the session; content scripts ignore events until it is resumed
+async function pauseCapture() {
+  if (!stateManager.isCapturing || stateManager.isPaused) return;
+  
+  log("Pausing capture session");
+  stateManager.isPaused = true;
+  
+  await broadcastToSessionTabs({ action: "pauseCapture" });
+  await updateRecordingBadge();
+  onSessionStateChanged();
+}
+
+// Resume a paused session
+async function resumeCapture() {
+  if (!stateManager.isCapturing || !stateManager.isPaused) return;
+  
+  log("Resuming capture session");
+  stateManager.isPaused = false;
+  
+  await broadcastToSessionTabs({ action: "resumeCapture" });
+  await updateRecordingBadge();
+  onSessionStateChanged();
+}
+
+// Show the recording or paused state on the extension badge
+async function updateRecordingBadge() {
+  if (stateManager.isPaused) {
+    await chrome.action.setBadgeText({ text: "||" });
+    await chrome.action.setBadgeBackgroundColor({ color: "#757575" });
+  } else {
+    await chrome.action.setBadgeText({ text: "REC" });
+    await chrome.action.setBadgeBackgroundColor({ color: "#00B3A4" });
+  }
+}
+
+// Capture the current state of the active tab as a manual step (hover menus, tooltips)
+async function captureManualSnapshot() {
+  if (!stateManager.isCapturing || stateManager.isPaused) {
+    log("Ignoring snapshot command: not recording");
+    return;
+  }
+  
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab || isRestrictedUrl(tab.url)) {
+    log("Cannot capture snapshot of this tab");
+    return;
+  }
+  
+  // The top frame's handler captures (with redaction) and adds the step
+  try {
+    const response = await chrome.tabs.sendMessage(tab.id, { action: "captureManualStep" }, { frameId: 0 });
+    log("Manual snapshot requested:", response?.success ? "captured" : "failed");
+  } catch (error) {
+    console.error("Error requesting manual snapshot:", error);
+  }
+}
+
+// Send a message to every tab that belongs to the capture session
+async function broadcastToSessionTabs(message) {
+  for (const tabId of Object.keys(stateManager.sessionTabs).map(Number)) {
+    try {
+      await chrome.tabs.sendMessage(tabId, message);
+    } catch (error) {
+      // Tab closed or has no content script (e.g. restricted URL)
+      console.warn(`Could not send ${message.action} to tab ${tabId}:`, error.message);
+    }
+  }
+}
+
 // Client-side function to inject session indicator
 function injectSessionIndicator() {
   if (document.getElementById('sotoscribe-indicator')) return;
@@ -227,15 +321,149 @@ async function openEditor() {
     
     // Store the editor tab ID temporarily
     stateManager.editorTabId = tab.id;
+    sessionMirror.saveMeta();
   } catch (error) {
     console.error("Error opening editor:", error);
   }
 }
 
+// How long to wait for a frame to report its sensitive regions
+const FRAME_REDACTION_TIMEOUT_MS = 2000;
+
+// Documents the content script can run in; frames showing anything else (data: and blob:
+// documents, other extensions' pages) are blacked out by their parent frame instead
+const SCRIPTABLE_FRAME_URL = /^(https?|file|about):/;
+
+// Ask one frame for its sensitive regions, already translated into top-level viewport space
+async function requestFrameRedaction(tabId, frameId) {
+  let timeoutId;
+  const timeout = new Promise((resolve, reject) => {
+    timeoutId = setTimeout(() => reject(new Error(`Frame ${frameId} did not report its sensitive regions`)), FRAME_REDACTION_TIMEOUT_MS);
+  });
+  
+  try {
+    const response = await Promise.race([
+      chrome.tabs.sendMessage(tabId, { action: "getScreenshotRedaction" }, { frameId }),
+      timeout
+    ]);
+    if (!response || !response.redaction) {
+      throw new Error(`Frame ${frameId} could not collect its sensitive regions`);
+    }
+    return response.redaction;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+    
+// Merge the sensitive regions of every frame in the tab into the capture's redaction,
+// since the tab screenshot shows all of them. A frame that doesn't answer is fine when its
+// parent blacked it out; otherwise the capture fails closed instead of storing unredacted pixels.
+async function collectFrameRedactions(sender, redaction) {
+  if (!sender.tab) return redaction;
+  
+  const senderFrameId = sender.frameId || 0;
+  const frames = await chrome.webNavigation.getAllFrames({ tabId: sender.tab.id });
+  if (!frames) {
+    throw new Error("Could not list the frames of the tab");
+  }
+  
+  const redactions = new Map();
+  if (redaction) {
+    redactions.set(senderFrameId, redaction);
+  }
+  
+  await Promise.all(frames
+    .filter(frame => frame.frameId !== senderFrameId && SCRIPTABLE_FRAME_URL.test(frame.url))
+    .map(frame => requestFrameRedaction(sender.tab.id, frame.frameId)
+      .then(frameRedaction => redactions.set(frame.frameId, frameRedaction))
+      .catch(error => console.warn(error.message))));
+  
+  // Each frame counts the child frames SotoScribe runs in and blacks out the rest, so a
+  // silent frame is covered once all of its parent's scanned children have answered
+  const framesById = new Map(frames.map(frame => [frame.frameId, frame]));
+  const isCovered = (frameId) => {
+    if (redactions.has(frameId)) return true;
+    
+    const frame = framesById.get(frameId);
+    if (!frame || frame.parentFrameId < 0) return false;
+    
+    const parentRedaction = redactions.get(frame.parentFrameId);
+    if (!parentRedaction) return isCovered(frame.parentFrameId);
+    
+    const answeredSiblings = frames.filter(other =>
+      other.parentFrameId === frame.parentFrameId && redactions.has(other.frameId)
+    ).length;
+    return answeredSiblings >= (parentRedaction.scannedFrameCount ?? Infinity);
+  };
+  
+  const uncovered = frames.filter(frame => !isCovered(frame.frameId));
+  if (uncovered.length > 0) {
+    throw new Error(`Frames ${uncovered.map(frame => frame.frameId).join(', ')} did not report their sensitive regions`);
+  }
+  
+  const topRedaction = redactions.get(0);
+  
+  return {
+    regions: Array.from(redactions.values()).flatMap(frameRedaction => frameRedaction.regions || []),
+    viewport: topRedaction?.viewport || redaction?.viewport
+  };
+}
+
+// Keyboard shortcuts (see "commands" in the manifest)
+chrome.commands.onCommand.addListener(async (command) => {
+  log("Command received:", command);
+  
+  try {
+    await stateReady;
+    
+    switch (command) {
+      case "start-recording":
+        await startCapture();
+        break;
+      
+      case "stop-recording":
+        await stopCapture();
+        break;
+      
+      case "toggle-pause":
+        if (stateManager.isPaused) {
+          await resumeCapture();
+        } else {
+          await pauseCapture();
+        }
+        break;
+      
+      case "capture-snapshot":
+        await captureManualSnapshot();
+        break;
+    }
+  } catch (error) {
+    console.error(`Error handling command ${command}:`, error);
+  }
+});
+
+// Follow new tabs and popup windows opened from a tab that is being recorded
+chrome.tabs.onCreated.addListener(async (tab) => {
+  await stateReady;
+  if (!stateManager.isCapturing || tab.openerTabId === undefined) return;
+  if (!stateManager.isSessionTab(tab.openerTabId)) return;
+  
+  try {
+    const createdWindow = await chrome.windows.get(tab.windowId);
+    stateManager.registerSessionTab(tab, createdWindow.type === 'popup');
+  } catch (error) {
+    console.error("Error registering new session tab:", error);
+    stateManager.registerSessionTab(tab);
+  }
+  sessionMirror.saveMeta();
+});
+
 // Listen for tab URL changes to detect when we move to/from restricted pages
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  // Only process if we're in capture mode and URL has changed
-  if (stateManager.isCapturing && changeInfo.url) {
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  await stateReady;
+  
+  // Only process if we're in capture mode, the tab is part of the session and URL has changed
+  if (stateManager.isCapturing && changeInfo.url && stateManager.isSessionTab(tabId)) {
     const isRestricted = isRestrictedUrl(changeInfo.url);
     const isTracking = isTrackingDomain(changeInfo.url);
     const isSalesforce = isSalesforceUrl(changeInfo.url);
@@ -250,8 +478,7 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
       chrome.action.setBadgeBackgroundColor({ color: "#FFA000" });
     } else {
       log("Tab navigated to supported URL:", changeInfo.url);
-      chrome.action.setBadgeText({ text: "REC" });
-      chrome.action.setBadgeBackgroundColor({ color: "#00B3A4" });
+      updateRecordingBadge();
       
       // If Salesforce, use specialized handling
       if (isSalesforce) {
@@ -266,7 +493,8 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
             chrome.tabs.sendMessage(tabId, {
               action: "startCapture",
               sessionId: stateManager.sessionId,
-              isSalesforce: isSalesforce
+              isSalesforce: isSalesforce,
+              isPaused: stateManager.isPaused
             }, response => {
               if (chrome.runtime.lastError) {
                 console.warn("Content script reconnection warning:", chrome.runtime.lastError.message);
@@ -283,8 +511,15 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   }
 });
 
-// Listen for messages from popup or content scripts
+// Listen for messages from popup or content scripts; they wait until a
+// mirrored session (resilience mode) has been restored after a worker restart
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  stateReady.then(() => handleRuntimeMessage(message, sender, sendResponse));
+  return true; // Required for async response
+});
+
+// Route a runtime message
+function handleRuntimeMessage(message, sender, sendResponse) {
   log("Background received message:", message.action);
   
   switch (message.action) {
@@ -308,13 +543,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       }
       
       // If we're capturing and this tab just got ready, send the start message
+      // to the frame that announced itself (other frames are already running)
       if (stateManager.isCapturing && sender.tab && 
-          sender.tab.active) {
+          (sender.tab.active || stateManager.isSessionTab(sender.tab.id))) {
         chrome.tabs.sendMessage(sender.tab.id, {
           action: "startCapture",
           sessionId: stateManager.sessionId,
-          isSalesforce: isSalesforce
-        }, response => {
+          isSalesforce: isSalesforce,
+          isPaused: stateManager.isPaused
+        }, { frameId: sender.frameId || 0 }, response => {
           if (chrome.runtime.lastError) {
             console.warn("Warning sending start to ready script:", chrome.runtime.lastError);
           }
@@ -341,15 +578,48 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       });
       break;
       
+    case "pauseCapture":
+      pauseCapture().then(() => {
+        sendResponse({ success: true });
+      }).catch(error => {
+        console.error("Error pausing capture:", error);
+        sendResponse({ success: false, error: error.message });
+      });
+      break;
+    
+    case "resumeCapture":
+      resumeCapture().then(() => {
+        sendResponse({ success: true });
+      }).catch(error => {
+        console.error("Error resuming capture:", error);
+        sendResponse({ success: false, error: error.message });
+      });
+      break;
+    
+    case "setResilienceMode":
+      sessionMirror.setEnabled(message.enabled === true).then(() => {
+        sendResponse({ success: true });
+      }).catch(error => {
+        console.error("Error setting resilience mode:", error);
+        sendResponse({ success: false, error: error.message });
+      });
+      break;
+    
     case "getState":
       sendResponse({ 
         isCapturing: stateManager.isCapturing,
+        isPaused: stateManager.isPaused,
+        resilienceEnabled: sessionMirror.enabled,
         stepsCount: stateManager.steps.length
       });
       break;
       
     case "addStep":
-      if (stateManager.isCapturing) {
+      if (stateManager.isCapturing && stateManager.isPaused) {
+        // Steps already in flight when the user paused are dropped
+        log("Rejecting step: capture is paused");
+        sendResponse({ success: false, error: "Capture paused" });
+      } else if (stateManager.isCapturing) {
         const stepType = message.data.type;
         const sourceType = message.data.salesforceMetadata?.captureMethod || 'event_handler';
         
@@ -366,6 +636,28 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           break;
         }
         
+        // Tag steps with the tab they happened in, joining the tab to the session if needed
+        if (sender.tab) {
+          const tabInfo = stateManager.registerSessionTab(sender.tab);
+          message.data.tabId = sender.tab.id;
+          message.data.windowId = sender.tab.windowId;
+          message.data.tabIndex = tabInfo.tabIndex;
+        }
+        
+        // Tag steps from iframes with their frame; the page URL stays the tab's
+        message.data.frameId = sender.frameId || 0;
+        if (message.data.frameId !== 0 && sender.tab) {
+          message.data.frameUrl = message.data.url;
+          message.data.url = sender.tab.url;
+          message.data.title = sender.tab.title;
+        }
+        
+        // Log the regions capture-time redaction destroyed in this step's screenshot
+        const redactions = screenshotService.getRedactionLog(message.data.screenshot);
+        if (redactions.length > 0) {
+          message.data.redactions = redactions;
+        }
+        
         // Add the step (StateManager handles duplicate detection)
         const stepCount = stateManager.addStep(message.data);
         sendResponse({ success: true, stepCount });
@@ -393,7 +685,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       const forceCapture = message.forceCapture || false;
       const isSalesforceScreenshot = message.isSalesforce || false;  // Renamed to avoid redeclaration
       
-      screenshotService.captureTabScreenshot(isSalesforceScreenshot, forceCapture).then(screenshot => {
+      collectFrameRedactions(sender, message.redaction || null).then(redaction => {
+        return screenshotService.captureTabScreenshot(isSalesforceScreenshot, forceCapture, redaction, sender.tab?.windowId);
+      }).then(screenshot => {
         sendResponse({ screenshot });
       }).catch(error => {
         console.error("Error capturing screenshot:", error);
@@ -415,10 +709,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
   
   return true; // Required for async response
-});
+}
 
 // Handle tab closures for the editor tab
-chrome.tabs.onRemoved.addListener((tabId) => {
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await stateReady;
+  
   if (tabId === stateManager.editorTabId) {
     // Editor was closed, clean up data
     log("Editor tab closed, cleaning up data");
@@ -434,3 +730,4 @@ chrome.tabs.onRemoved.addListener((tabId) => {
 // Initial setup
 log("SotoScribe background script initialized");
 resetState();
+const stateReady = sessionMirror.initialize();
@@ -17,8 +17,9 @@
 // SotoScribe - Screenshot Service
 // Handles capturing and processing screenshots with perceptual hashing
 
-import { isRestrictedUrl, isTrackingDomain } from '../shared/utils.js';
+import { isRestrictedUrl, isTrackingDomain, blobToDataUrl } from '../shared/utils.js';
 import { log, sfLog, timeLog } from '../shared/logging.js';
+import { getConfig } from '../shared/config.js';
 
 export class ScreenshotService {
   constructor() {
@@ -36,15 +37,20 @@ export class ScreenshotService {
     this.lastScreenshotHash = null;
     this.lastScreenshotData = null;
     
+    // Regions destroyed by redaction, keyed by the redacted screenshot
+    this.redactionLog = new Map();
+    this.REDACTION_LOG_SIZE = 20;
+    
     // Hash similarity threshold (0-100)
     // Lower values = more strict comparison (fewer similar screenshots)
-    this.HASH_SIMILARITY_THRESHOLD = 90; 
+    this.HASH_SIMILARITY_THRESHOLD = getConfig('CAPTURE_SETTINGS.HASH_SIMILARITY_THRESHOLD', 90);
+    this.HASH_SIZE = getConfig('CAPTURE_SETTINGS.HASH_SIZE', 16);
     
     log("Screenshot service initialized with perceptual hashing");
   }
   
   // Public API for capturing a screenshot with throttling and visual change detection
-  async captureTabScreenshot(isSalesforce = false, forceCapture = false) {
+  async captureTabScreenshot(isSalesforce = false, forceCapture = false, redaction = null, windowId = null) {
     return new Promise((resolve, reject) => {
       // Determine throttle time based on context
       const throttleTime = isSalesforce ? this.SALESFORCE_THROTTLE_MS : this.SCREENSHOT_THROTTLE_MS;
@@ -55,6 +61,8 @@ export class ScreenshotService {
         reject, 
         isSalesforce,
         forceCapture,
+        redaction,
+        windowId,
         timestamp: Date.now()
       });
       
@@ -85,7 +93,12 @@ export class ScreenshotService {
     
     timeLog("Screenshot capture", async () => {
       try {
-        const screenshot = await this.captureTabScreenshotImpl(nextRequest.isSalesforce);
+        let screenshot = await this.captureTabScreenshotImpl(nextRequest.isSalesforce, nextRequest.windowId);
+        
+        // Destroy sensitive pixels before the image is compared, cached or returned
+        if (screenshot) {
+          screenshot = await this.redactScreenshot(screenshot, nextRequest.redaction);
+        }
         
         if (screenshot) {
           // Check if this screenshot is visually similar to previous one
@@ -128,10 +141,11 @@ export class ScreenshotService {
   }
   
   // Implementation of screenshot capture
-  async captureTabScreenshotImpl(isSalesforce = false) {
+  async captureTabScreenshotImpl(isSalesforce = false, windowId = null) {
     try {
-      // Get the active tab
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      // Get the active tab of the requesting window (popups live in their own window)
+      const tabQuery = windowId !== null ? { active: true, windowId } : { active: true, currentWindow: true };
+      const [tab] = await chrome.tabs.query(tabQuery);
       
       // Check if tab still exists
       if (!tab) {
@@ -157,7 +171,7 @@ export class ScreenshotService {
       };
       
       // Capture the visible area of the tab
-      const dataUrl = await chrome.tabs.captureVisibleTab(null, screenshotOptions);
+      const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, screenshotOptions);
       
       // Reset failure counter on success
       this.failureCount = 0;
@@ -179,10 +193,148 @@ export class ScreenshotService {
     }
   }
   
+  // Overwrite the pixels of sensitive regions reported by the content script
+  async redactScreenshot(dataUrl, redaction) {
+    if (!getConfig('FEATURES.SCREENSHOT_REDACTION', true)) return dataUrl;
+    if (!redaction || !redaction.regions || redaction.regions.length === 0) return dataUrl;
+    
+    try {
+      const blob = await (await fetch(dataUrl)).blob();
+      const bitmap = await createImageBitmap(blob);
+      
+      const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(bitmap, 0, 0);
+      bitmap.close();
+      
+      // Regions are measured in CSS pixels, the capture is in device pixels
+      const viewport = redaction.viewport || {};
+      const scaleX = viewport.width ? canvas.width / viewport.width : 1;
+      const scaleY = viewport.height ? canvas.height / viewport.height : 1;
+      
+      const mode = getConfig('CAPTURE_SETTINGS.REDACTION_MODE', 'blackout');
+      const padding = getConfig('CAPTURE_SETTINGS.REDACTION_PADDING', 4);
+      const entries = [];
+      
+      for (const region of redaction.regions) {
+        const x = Math.max(0, Math.floor((region.left - padding) * scaleX));
+        const y = Math.max(0, Math.floor((region.top - padding) * scaleY));
+        const right = Math.min(canvas.width, Math.ceil((region.left + region.width + padding) * scaleX));
+        const bottom = Math.min(canvas.height, Math.ceil((region.top + region.height + padding) * scaleY));
+        
+        if (right <= x || bottom <= y) continue;
+        
+        if (mode === 'pixelate') {
+          this.pixelateRegion(ctx, x, y, right - x, bottom - y);
+        } else {
+          ctx.fillStyle = '#000';
+          ctx.fillRect(x, y, right - x, bottom - y);
+        }
+        
+        entries.push({
+          source: 'capture',
+          method: mode,
+          rule: region.rule || null,
+          x,
+          y,
+          width: right - x,
+          height: bottom - y,
+          timestamp: Date.now()
+        });
+      }
+      
+      const redactedBlob = await canvas.convertToBlob({ type: 'image/png' });
+      log(`Redacted ${redaction.regions.length} sensitive region(s) in screenshot (${mode})`);
+      
+      const redactedDataUrl = await blobToDataUrl(redactedBlob);
+      this.recordRedactions(redactedDataUrl, entries);
+      
+      return redactedDataUrl;
+    } catch (error) {
+      // Never hand back an image that still contains the sensitive pixels
+      console.error("Error redacting screenshot, discarding it:", error);
+      return null;
+    }
+  }
+  
+  // Remember what was redacted in a screenshot so the step can carry a redaction log
+  recordRedactions(dataUrl, entries) {
+    if (entries.length === 0) return;
+    
+    this.redactionLog.set(dataUrl, entries);
+    if (this.redactionLog.size > this.REDACTION_LOG_SIZE) {
+      this.redactionLog.delete(this.redactionLog.keys().next().value);
+    }
+  }
+  
+  // Redaction entries for a screenshot returned by captureTabScreenshot
+  getRedactionLog(dataUrl) {
+    return (dataUrl && this.redactionLog.get(dataUrl)) || [];
+  }
+  
+  // Drop the log along with the screenshots it is keyed by
+  clearRedactionLog() {
+    this.redactionLog.clear();
+  }
+  
+  // Replace each block of a region with its average colour
+  pixelateRegion(ctx, x, y, width, height) {
+    const blockSize = getConfig('CAPTURE_SETTINGS.REDACTION_PIXEL_SIZE', 16);
+    const imageData = ctx.getImageData(x, y, width, height);
+    const pixels = imageData.data;
+    
+    for (let blockY = 0; blockY < height; blockY += blockSize) {
+      for (let blockX = 0; blockX < width; blockX += blockSize) {
+        const blockWidth = Math.min(blockSize, width - blockX);
+        const blockHeight = Math.min(blockSize, height - blockY);
+        let r = 0, g = 0, b = 0;
+        
+        for (let row = blockY; row < blockY + blockHeight; row++) {
+          for (let col = blockX; col < blockX + blockWidth; col++) {
+            const i = (row * width + col) * 4;
+            r += pixels[i];
+            g += pixels[i + 1];
+            b += pixels[i + 2];
+          }
+        }
+        
+        const count = blockWidth * blockHeight;
+        ctx.fillStyle = `rgb(${Math.round(r / count)}, ${Math.round(g / count)}, ${Math.round(b / count)})`;
+        ctx.fillRect(x + blockX, y + blockY, blockWidth, blockHeight);
+      }
+    }
+  }
+  
+  // Create a small JPEG preview of a screenshot (used by the live side panel)
+  async createThumbnail(dataUrl, maxWidth = 240) {
+    try {
+      const blob = await (await fetch(dataUrl)).blob();
+      const bitmap = await createImageBitmap(blob);
+      
+      const scale = Math.min(1, maxWidth / bitmap.width);
+      const width = Math.round(bitmap.width * scale);
+      const height = Math.round(bitmap.height * scale);
+      
+      const canvas = new OffscreenCanvas(width, height);
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(bitmap, 0, 0, width, height);
+      bitmap.close();
+      
+      const thumbnailBlob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.7 });
+      return await blobToDataUrl(thumbnailBlob);
+    } catch (error) {
+      console.error("Error creating thumbnail:", error);
+      return null;
+    }
+  }
+  
   // Check if a screenshot shows significant visual change compared to the previous one
   async isSignificantVisualChange(newScreenshotData, forceConsiderChanged = false) {
-    // If forcing change detection, skip comparison
-    if (forceConsiderChanged) return true;
+    // If forcing change detection, skip comparison but keep the baseline current
+    if (forceConsiderChanged) {
+      await this.updateScreenshotHash(newScreenshotData);
+      return true;
+    }
     
     // If we don't have a previous screenshot, this is definitely a change
     if (!this.lastScreenshotData || !this.lastScreenshotHash) {
@@ -228,59 +380,43 @@ export class ScreenshotService {
     }
   }
   
-  // Generate a perceptual hash from a screenshot
+  // Generate a perceptual difference hash (dHash) from a screenshot.
+  // Uses createImageBitmap/OffscreenCanvas since the service worker has no DOM.
   async generatePerceptualHash(dataUrl) {
-    return new Promise((resolve, reject) => {
-      try {
-        // Create an image from the data URL
-        const img = new Image();
-        img.onload = () => {
-          try {
-            // Create a small thumbnail for comparison (16x16 pixels)
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-            const size = 16; // Small size for fast comparison
-            
-            canvas.width = size;
-            canvas.height = size;
-            
-            // Draw the image as grayscale
-            ctx.drawImage(img, 0, 0, size, size);
-            const imageData = ctx.getImageData(0, 0, size, size);
-            const pixels = imageData.data;
-            
-            // Convert to grayscale values
-            const grayValues = [];
-            for (let i = 0; i < pixels.length; i += 4) {
-              // Calculate luminance
-              const r = pixels[i];
-              const g = pixels[i + 1];
-              const b = pixels[i + 2];
-              const gray = 0.299 * r + 0.587 * g + 0.114 * b;
-              grayValues.push(gray);
-            }
-            
-            // Calculate average gray value
-            const avg = grayValues.reduce((sum, val) => sum + val, 0) / grayValues.length;
-            
-            // Create binary hash based on whether each pixel is above or below average
-            const hash = grayValues.map(val => val >= avg ? 1 : 0);
-            
-            resolve(hash);
-          } catch (error) {
-            reject(error);
-          }
-        };
-        
-        img.onerror = (error) => {
-          reject(error);
-        };
-        
-        img.src = dataUrl;
-      } catch (error) {
-        reject(error);
-      }
+    const size = this.HASH_SIZE;
+
+    // Scale down to (size + 1) x size so each row yields size horizontal gradients
+    const blob = await (await fetch(dataUrl)).blob();
+    const bitmap = await createImageBitmap(blob, {
+      resizeWidth: size + 1,
+      resizeHeight: size,
+      resizeQuality: 'medium'
     });
+
+    const canvas = new OffscreenCanvas(size + 1, size);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    const pixels = ctx.getImageData(0, 0, size + 1, size).data;
+
+    // Convert to grayscale luminance
+    const gray = new Float32Array((size + 1) * size);
+    for (let i = 0; i < gray.length; i++) {
+      const offset = i * 4;
+      gray[i] = 0.299 * pixels[offset] + 0.587 * pixels[offset + 1] + 0.114 * pixels[offset + 2];
+    }
+
+    // One bit per pixel: is it brighter than its right-hand neighbour?
+    const hash = [];
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        const index = row * (size + 1) + col;
+        hash.push(gray[index] > gray[index + 1] ? 1 : 0);
+      }
+    }
+
+    return hash;
   }
   
   // Calculate Hamming distance similarity between two hashes (0-100 scale)
@@ -315,7 +451,8 @@ export class ScreenshotService {
       lastFailureTime: this.lastFailureTime,
       lastScreenshotTime: this.lastScreenshotTime,
       timeSinceLastScreenshot: Date.now() - this.lastScreenshotTime,
-      hashAvailable: this.lastScreenshotHash !== null
+      hashAvailable: this.lastScreenshotHash !== null,
+      hashSimilarityThreshold: this.HASH_SIMILARITY_THRESHOLD
     };
   }
   
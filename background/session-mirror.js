@@ -0,0 +1,216 @@
+/*
+ * Copyright [2025] [Antony Soto]
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// SotoScribe - Session Mirror
+// Opt-in resilience mode: mirrors the capture session into chrome.storage.session so a
+// suspended service worker can rehydrate it. Session storage lives in memory only, is
+// cleared when the browser exits and is not exposed to content scripts.
+
+import { log } from '../shared/logging.js';
+
+const KEYS = {
+  ENABLED: 'sotoscribe.resilience',
+  META: 'sotoscribe.meta',
+  ORDER: 'sotoscribe.stepOrder',
+  PENDING: 'sotoscribe.pendingSteps',
+  STEP_PREFIX: 'sotoscribe.step.'
+};
+
+export class SessionMirror {
+  constructor(stateManager) {
+    this.stateManager = stateManager;
+    this.enabled = false;
+    
+    // Storage writes run one after another so a reset can't be overtaken by a late step write
+    this.writeQueue = Promise.resolve();
+    
+    this.handleStateEvent = this.handleStateEvent.bind(this);
+  }
+  
+  // Read the opt-in flag and rehydrate the StateManager if a session was mirrored
+  async initialize() {
+    try {
+      const stored = await chrome.storage.session.get(KEYS.ENABLED);
+      this.enabled = stored[KEYS.ENABLED] === true;
+      
+      if (this.enabled) {
+        await this.restore();
+      }
+    } catch (error) {
+      console.error("Error initializing session mirror:", error);
+    }
+    
+    // Subscribe only after restoring so the startup reset doesn't wipe the mirror
+    this.stateManager.subscribe(this.handleStateEvent);
+    log(`Session mirror initialized (resilience mode ${this.enabled ? 'on' : 'off'})`);
+  }
+  
+  // Turn resilience mode on or off
+  async setEnabled(enabled) {
+    this.enabled = enabled;
+    
+    await this.enqueue(async () => {
+      if (enabled) {
+        await chrome.storage.session.set({ [KEYS.ENABLED]: true });
+        for (const step of this.stateManager.steps) {
+          await this.saveStep(step);
+        }
+        await this.saveOrder();
+        await this.savePending();
+        await this.writeMeta();
+      } else {
+        await chrome.storage.session.clear();
+      }
+      log(`Resilience mode ${enabled ? 'enabled' : 'disabled'}`);
+    });
+  }
+  
+  // Run a storage task after all earlier ones
+  enqueue(task) {
+    this.writeQueue = this.writeQueue.then(task).catch(error => {
+      console.error("Error mirroring session state:", error);
+    });
+    return this.writeQueue;
+  }
+  
+  // Keep the mirror in sync with StateManager changes
+  handleStateEvent(event) {
+    if (!this.enabled) return;
+    
+    this.enqueue(async () => {
+      switch (event.type) {
+        case 'stepAdded':
+        case 'stepUpdated':
+          await this.saveStep(event.step);
+          await this.saveOrder();
+          await this.writeMeta(); // Tab tracking changes with every step
+          break;
+        
+        case 'stepRemoved':
+          await chrome.storage.session.remove(KEYS.STEP_PREFIX + event.step.id);
+          await this.saveOrder();
+          break;
+        
+        // Steps wait in the merge queue for a moment before they are added; mirror
+        // the queue too so a worker suspended in between doesn't lose them
+        case 'stepQueued':
+        case 'queueProcessed':
+          await this.savePending();
+          break;
+        
+        case 'reset':
+          await this.wipe();
+          break;
+      }
+    });
+  }
+  
+  // Save the session flags (capturing, paused, tabs, editor tab) after they change
+  saveMeta() {
+    if (!this.enabled) return Promise.resolve();
+    return this.enqueue(() => this.writeMeta());
+  }
+  
+  // Write the session flags
+  async writeMeta() {
+    const state = this.stateManager;
+    await chrome.storage.session.set({
+      [KEYS.META]: {
+        isCapturing: state.isCapturing,
+        isPaused: state.isPaused,
+        sessionId: state.sessionId,
+        editorTabId: state.editorTabId,
+        sessionTabs: state.sessionTabs,
+        lastStepTabId: state.lastStepTabId
+      }
+    });
+  }
+  
+  // Save one step; if the quota is exhausted keep the step without its screenshot
+  async saveStep(step) {
+    try {
+      await chrome.storage.session.set({ [KEYS.STEP_PREFIX + step.id]: step });
+    } catch (error) {
+      console.warn(`Could not mirror step ${step.id} with screenshot, storing it without:`, error.message);
+      await chrome.storage.session.set({
+        [KEYS.STEP_PREFIX + step.id]: { ...step, screenshot: null, screenshotDropped: true }
+      });
+    }
+  }
+  
+  // Save the steps still waiting in the merge queue; if the quota is exhausted keep them without screenshots
+  async savePending() {
+    const pendingSteps = this.stateManager.pendingSteps;
+    if (pendingSteps.length === 0) {
+      await chrome.storage.session.remove(KEYS.PENDING);
+      return;
+    }
+    
+    try {
+      await chrome.storage.session.set({ [KEYS.PENDING]: pendingSteps });
+    } catch (error) {
+      console.warn("Could not mirror queued steps with screenshots, storing them without:", error.message);
+      await chrome.storage.session.set({
+        [KEYS.PENDING]: pendingSteps.map(step => ({ ...step, screenshot: null, screenshotDropped: true }))
+      });
+    }
+  }
+  
+  // Save the step order
+  async saveOrder() {
+    await chrome.storage.session.set({
+      [KEYS.ORDER]: this.stateManager.steps.map(step => step.id)
+    });
+  }
+  
+  // Rehydrate the StateManager after the service worker restarted
+  async restore() {
+    const stored = await chrome.storage.session.get([KEYS.META, KEYS.ORDER, KEYS.PENDING]);
+    const meta = stored[KEYS.META];
+    const order = stored[KEYS.ORDER] || [];
+    const pendingSteps = stored[KEYS.PENDING] || [];
+    
+    if (!meta) return;
+    
+    const stepKeys = order.map(id => KEYS.STEP_PREFIX + id);
+    const storedSteps = stepKeys.length > 0 ? await chrome.storage.session.get(stepKeys) : {};
+    
+    const state = this.stateManager;
+    state.isCapturing = meta.isCapturing === true;
+    state.isPaused = meta.isPaused === true;
+    state.sessionId = meta.sessionId;
+    state.editorTabId = meta.editorTabId;
+    state.sessionTabs = meta.sessionTabs || {};
+    state.lastStepTabId = meta.lastStepTabId ?? null;
+    state.steps = stepKeys.map(key => storedSteps[key]).filter(Boolean);
+    
+    // Finish merging the steps that were still queued when the worker stopped
+    state.pendingSteps = pendingSteps;
+    if (pendingSteps.length > 0) {
+      state.scheduleMergeQueueProcessing();
+    }
+    
+    log(`Session restored from storage: ${state.steps.length} steps (${pendingSteps.length} queued), capturing: ${state.isCapturing}`);
+    state.notifyListeners({ type: 'restored' });
+  }
+  
+  // Remove all mirrored session data but keep the opt-in flag
+  async wipe() {
+    await chrome.storage.session.clear();
+    await chrome.storage.session.set({ [KEYS.ENABLED]: this.enabled });
+    log("Mirrored session data wiped");
+  }
+}
\ No newline at end of file
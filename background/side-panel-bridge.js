@@ -0,0 +1,160 @@
+/*
+ * Copyright [2025] [Antony Soto]
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// SotoScribe - Side Panel Bridge
+// Streams steps from the StateManager to the live side panel over a long-lived port
+
+import { log } from '../shared/logging.js';
+import { SIDE_PANEL_PORT_NAME } from '../shared/config.js';
+
+export class SidePanelBridge {
+  constructor(stateManager, screenshotService) {
+    this.stateManager = stateManager;
+    this.screenshotService = screenshotService;
+    this.ports = new Set();
+    
+    // Thumbnails are cached per step object so each screenshot is only scaled once
+    this.thumbnails = new WeakMap();
+    
+    this.handleConnect = this.handleConnect.bind(this);
+    this.handleStateEvent = this.handleStateEvent.bind(this);
+    
+    this.stateManager.subscribe(this.handleStateEvent);
+    chrome.runtime.onConnect.addListener(this.handleConnect);
+    
+    log("Side panel bridge initialized");
+  }
+  
+  // Accept a connection from the side panel and send it the current session
+  async handleConnect(port) {
+    if (port.name !== SIDE_PANEL_PORT_NAME) return;
+    
+    log("Side panel connected");
+    this.ports.add(port);
+    
+    port.onMessage.addListener(message => this.handlePortMessage(message));
+    port.onDisconnect.addListener(() => {
+      log("Side panel disconnected");
+      this.ports.delete(port);
+    });
+    
+    try {
+      const steps = await this.summarizeAllSteps();
+      port.postMessage({ type: 'snapshot', state: this.getSessionState(), steps });
+    } catch (error) {
+      console.error("Error sending side panel snapshot:", error);
+    }
+  }
+  
+  // Apply edits made in the side panel while recording
+  handlePortMessage(message) {
+    const index = this.stateManager.getStepIndex(message.stepId);
+    if (index === -1) {
+      log("Side panel edit for unknown step:", message.stepId);
+      return;
+    }
+    
+    switch (message.type) {
+      case 'deleteStep':
+        this.stateManager.removeStep(index);
+        break;
+      
+      case 'updateInstruction':
+        this.stateManager.updateStepInstruction(index, message.instruction);
+        break;
+    }
+  }
+  
+  // Forward StateManager changes to every connected panel
+  async handleStateEvent(event) {
+    if (this.ports.size === 0) return;
+    
+    try {
+      switch (event.type) {
+        case 'stepAdded':
+        case 'stepUpdated':
+          this.broadcast({ type: event.type, step: await this.summarizeStep(event.step) });
+          break;
+        
+        case 'stepRemoved':
+          this.broadcast({ type: 'stepRemoved', stepId: event.step.id });
+          break;
+        
+        case 'reset':
+          this.broadcast({ type: 'reset', state: this.getSessionState() });
+          break;
+        
+        case 'restored':
+          this.broadcast({ type: 'snapshot', state: this.getSessionState(), steps: await this.summarizeAllSteps() });
+          break;
+      }
+    } catch (error) {
+      console.error("Error forwarding state event to side panel:", error);
+    }
+  }
+  
+  // Push the recording state (capturing, paused, step count) to the panels
+  broadcastState() {
+    this.broadcast({ type: 'state', state: this.getSessionState() });
+  }
+  
+  // Post a message to all connected panels
+  broadcast(message) {
+    this.ports.forEach(port => {
+      try {
+        port.postMessage(message);
+      } catch (error) {
+        console.warn("Dropping disconnected side panel port:", error.message);
+        this.ports.delete(port);
+      }
+    });
+  }
+  
+  // Current recording state as shown in the panel header
+  getSessionState() {
+    return {
+      isCapturing: this.stateManager.isCapturing,
+      isPaused: this.stateManager.isPaused,
+      stepsCount: this.stateManager.steps.length
+    };
+  }
+  
+  // Summaries of all steps in workflow order
+  summarizeAllSteps() {
+    return Promise.all(this.stateManager.steps.map(step => this.summarizeStep(step)));
+  }
+  
+  // Reduce a step to what the panel displays, with a thumbnail instead of the full screenshot
+  async summarizeStep(step) {
+    let thumbnail = this.thumbnails.get(step);
+    if (thumbnail === undefined && step.screenshot) {
+      thumbnail = await this.screenshotService.createThumbnail(step.screenshot);
+      this.thumbnails.set(step, thumbnail);
+    }
+    
+    return {
+      id: step.id,
+      index: this.stateManager.getStepIndex(step.id),
+      type: step.type,
+      instruction: step.instruction || '',
+      title: step.title || '',
+      url: step.url || '',
+      tabIndex: step.tabIndex,
+      isSensitive: step.isSensitive === true,
+      thumbnail: thumbnail || null
+    };
+  }
+}
\ No newline at end of file
@@ -18,9 +18,13 @@
 // Manages the in-memory state of the workflow capture process
 
 import { log, sfLog } from '../shared/logging.js';
+import { generateUniqueId } from '../shared/utils.js';
 
 export class StateManager {
   constructor() {
+    // Observers notified of step and state changes (e.g. the live side panel)
+    this.listeners = new Set();
+    
     this.resetState();
   }
   
@@ -38,12 +42,17 @@ export class StateManager {
     
     // Core capture state
     this.isCapturing = false;
+    this.isPaused = false;
     this.sessionId = null;
     this.steps = [];
     this.readyTabs = {}; // Track tabs with ready content scripts
     this.captureInterval = null; // For screenshot interval tracking
     this.editorTabId = null;
     
+    // Tabs and popup windows that belong to the session, keyed by tab ID
+    this.sessionTabs = {};
+    this.lastStepTabId = null;
+    
     // Step merging queue to reduce duplicates
     this.pendingSteps = [];
     this.mergeQueueTimeout = null;
@@ -71,6 +80,24 @@ export class StateManager {
     };
     
     log("State manager reset");
+    this.notifyListeners({ type: 'reset' });
+  }
+  
+  // Subscribe to step and state changes; returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+  
+  // Notify observers of a change
+  notifyListeners(event) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error("Error in state listener:", error);
+      }
+    });
   }
   
   // Add a step to the workflow with improved duplicate detection and merge queue
@@ -91,6 +118,7 @@ export class StateManager {
     
     // Add to pending queue for potential merging
     this.pendingSteps.push(stepData);
+    this.notifyListeners({ type: 'stepQueued', step: stepData });
     
     // Process queue after a delay to allow for merging similar events
     this.scheduleMergeQueueProcessing();
@@ -180,6 +208,7 @@ export class StateManager {
     
     // Clear pending steps
     this.pendingSteps = [];
+    this.notifyListeners({ type: 'queueProcessed' });
     
     log(`Merge queue processed, now have ${this.steps.length} final steps`);
   }
@@ -304,11 +333,30 @@ export class StateManager {
   
   // Add step to the final list
   addStepToFinalList(step) {
+    // Insert a transition when the workflow moves to another tab or window
+    if (step.tabId !== undefined && this.lastStepTabId !== null && step.tabId !== this.lastStepTabId) {
+      const tabSwitchStep = this.createTabSwitchStep(step);
+      this.steps.push(tabSwitchStep);
+      this.notifyListeners({ type: 'stepAdded', step: tabSwitchStep });
+    }
+    if (step.tabId !== undefined) {
+      this.lastStepTabId = step.tabId;
+      if (this.sessionTabs[step.tabId]) {
+        this.sessionTabs[step.tabId].hasSteps = true;
+      }
+    }
+    
+    // Stable ID so steps can be edited while indices are still shifting
+    if (!step.id) {
+      step.id = generateUniqueId();
+    }
+    
     this.steps.push(step);
     log(`Added step (#${this.steps.length}): ${step.type}`);
     
     // Update last action trackers for better duplicate detection
     this.updateLastActionTracker(step);
+    this.notifyListeners({ type: 'stepAdded', step });
     
     return this.steps.length;
   }
@@ -446,6 +494,53 @@ export class StateManager {
     return false;
   }
   
+  // Register a tab (or popup window) as part of the capture session
+  registerSessionTab(tab, isPopup = false) {
+    if (!tab || this.sessionTabs[tab.id]) return this.sessionTabs[tab?.id] || null;
+    
+    this.sessionTabs[tab.id] = {
+      tabIndex: Object.keys(this.sessionTabs).length + 1,
+      windowId: tab.windowId,
+      openerTabId: tab.openerTabId ?? null,
+      isPopup,
+      hasSteps: false
+    };
+    
+    log(`Session tab registered: ${tab.id} (#${this.sessionTabs[tab.id].tabIndex}${isPopup ? ', popup' : ''})`);
+    return this.sessionTabs[tab.id];
+  }
+  
+  // Check if a tab belongs to the capture session
+  isSessionTab(tabId) {
+    return this.sessionTabs[tabId] !== undefined;
+  }
+  
+  // Build the transition step shown before the first step in a different tab
+  createTabSwitchStep(step) {
+    const tabInfo = this.sessionTabs[step.tabId] || {};
+    const target = tabInfo.isPopup ? 'popup window' : 'tab';
+    const title = step.title || 'Untitled Page';
+    
+    const instruction = tabInfo.hasSteps
+      ? `Switch back to the **${title}** ${target}`
+      : `Switch to the new ${target} **${title}**`;
+    
+    return {
+      type: 'tab_switch',
+      url: step.url,
+      title: step.title,
+      timestamp: step.timestamp,
+      tabId: step.tabId,
+      id: generateUniqueId(),
+      tabIndex: tabInfo.tabIndex,
+      fromTabId: this.lastStepTabId,
+      isNewTab: !tabInfo.hasSteps,
+      isPopup: tabInfo.isPopup === true,
+      instruction,
+      screenshot: null
+    };
+  }
+  
   // Get step by index
   getStep(index) {
     if (index >= 0 && index < this.steps.length) {
@@ -454,11 +549,17 @@ export class StateManager {
     return null;
   }
   
+  // Find the current index of a step by its ID
+  getStepIndex(stepId) {
+    return this.steps.findIndex(step => step.id === stepId);
+  }
+  
   // Remove a step by index
   removeStep(index) {
     if (index >= 0 && index < this.steps.length) {
-      this.steps.splice(index, 1);
+      const [removed] = this.steps.splice(index, 1);
       log(`Removed step at index ${index}, ${this.steps.length} steps remaining`);
+      this.notifyListeners({ type: 'stepRemoved', step: removed });
       return true;
     }
     return false;
@@ -486,6 +587,7 @@ export class StateManager {
   updateStepInstruction(index, newInstruction) {
     if (index >= 0 && index < this.steps.length) {
       this.steps[index].instruction = newInstruction;
+      this.notifyListeners({ type: 'stepUpdated', step: this.steps[index] });
       return true;
     }
     return false;
@@ -504,11 +606,13 @@ export class StateManager {
       steps: this.steps.length,
       pendingSteps: this.pendingSteps.length,
       isCapturing: this.isCapturing,
+      isPaused: this.isPaused,
       isSalesforceActive: this.isSalesforceActive,
       salesforceStats: this.salesforceStats,
       lastStepTimestamp: this.lastStepTime,
       timeSinceLastStep: this.lastStepTime ? Date.now() - this.lastStepTime : 'N/A',
       readyTabsCount: Object.keys(this.readyTabs).length,
+      sessionTabsCount: Object.keys(this.sessionTabs).length,
       lastActions: this.lastActions
     };
   }
@@ -523,6 +627,8 @@ export class StateManager {
       form_submit: 0,
       ui_change: 0,
       screen_state: 0,
+      tab_switch: 0,
+      manual: 0,
       other: 0
     };
     
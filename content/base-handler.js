@@ -18,19 +18,26 @@
 // Handles DOM events and screenshot capturing for non-Salesforce sites
 
 import { isElementVisible, getElementPath } from './utils/dom-utils.js';
-import { isSensitiveField, getMaskedValue } from './utils/sensitive-data.js';
-import { getElementInfo, generateClickInstruction, generateInputInstruction, generateKeyboardShortcut } from './utils/element-info.js';
+import { findActionableTarget } from './utils/shadow-dom-utils.js';
+import { getElementLocators } from './utils/locators.js';
+import { maskInputValue, getScreenshotRedaction } from './utils/sensitive-data.js';
+import { isTopFrame, installFrameOffsetResponder, toTopLevelPoint, getFramePath } from './utils/frame-utils.js';
+import { getElementInfo, generateClickInstruction, generateInputInstruction, generateKeyboardShortcut, generateManualInstruction } from './utils/element-info.js';
 
 export class BaseHandler {
   constructor() {
     // State variables
     this.isCapturing = false;
+    this.isPaused = false;
     this.sessionId = null;
     this.lastActionElement = null;
     this.highlightOverlay = null;
     this.pageNavigations = [];
     this.isSalesforce = false;
     
+    // Frame state (steps from iframes are tagged with their frameId by the background)
+    this.isTopFrame = isTopFrame();
+    
     // Throttle state for input events
     this.pendingScreenshots = new Map();
     this.SCREENSHOT_THROTTLE_MS = 1000; // Minimum 1 second between screenshots
@@ -64,6 +71,9 @@ export class BaseHandler {
     window.addEventListener('focus', this.handleFocus);
     window.addEventListener('blur', this.handleBlur);
     
+    // Let child frames resolve their position within the top-level viewport
+    installFrameOffsetResponder();
+    
     // Add highlight styles
     this.injectHighlightStyles();
     
@@ -78,13 +88,47 @@ export class BaseHandler {
     this.pageNavigations = [window.location.href]; // Reset navigation history
     
     this.setupListeners();
-    this.injectSessionIndicator();
+    
+    // The indicator and initial page step belong to the top frame only
+    if (this.isTopFrame) {
+      this.injectSessionIndicator();
+      
+      // Capture initial state after a short delay
+      setTimeout(() => {
+        this.captureInitialState();
+      }, 500);
+    }
+  }
+  
+  // Pause capturing without ending the session (events are ignored until resumed)
+  pauseCapture() {
+    if (!this.isCapturing || this.isPaused) return;
+    
+    console.log("Pausing capture");
+    this.isPaused = true;
+    this.removeHighlight();
+    
+    // Drop pending input steps so nothing typed before the pause is sent later
+    this.pendingScreenshots.forEach(timeoutId => clearTimeout(timeoutId));
+    this.pendingScreenshots.clear();
+    
+    this.updateSessionIndicator();
+  }
+  
+  // Resume capturing in the same session
+  resumeCapture() {
+    if (!this.isCapturing || !this.isPaused) return;
+    
+    console.log("Resuming capture");
+    this.isPaused = false;
+    this.updateSessionIndicator();
   }
   
   // Stop capturing
   stopCapture() {
     console.log("Stopping capture with BaseHandler");
     this.isCapturing = false;
+    this.isPaused = false;
     this.sessionId = null;
     
     this.removeListeners();
@@ -98,13 +142,22 @@ export class BaseHandler {
   
   // Handle messages from the router
   handleMessage(message, sendResponse) {
-    // Handle specific messages if needed
-    sendResponse({ success: true });
+    switch (message.action) {
+      case 'getScreenshotRedaction':
+        // The background merges every frame's regions into each tab capture
+        getScreenshotRedaction()
+          .then(redaction => sendResponse({ redaction }))
+          .catch(error => sendResponse({ error: error.message }));
+        break;
+      
+      default:
+        sendResponse({ success: true });
+    }
   }
   
   // Capture initial page state
   async captureInitialState() {
-    if (!this.isCapturing) return;
+    if (!this.isCapturing || this.isPaused) return;
     
     try {
       console.log("Capturing initial page load step");
@@ -137,10 +190,7 @@ export class BaseHandler {
       };
       
       // Send step to background script
-      chrome.runtime.sendMessage({
-        action: 'addStep',
-        data: stepData
-      }, response => {
+      this.sendStep(stepData, response => {
         if (response && response.success) {
           console.log("Initial navigation step added successfully");
         } else {
@@ -152,6 +202,71 @@ export class BaseHandler {
     }
   }
   
+  // Capture the current page state on demand (keyboard command), e.g. an open hover menu
+  async captureManualStep() {
+    if (!this.isCapturing || this.isPaused) return false;
+    
+    try {
+      console.log("Capturing manual snapshot");
+      
+      // Describe what the pointer is resting on, if anything meaningful
+      const hoveredElement = this.getHoveredElement();
+      const elementInfo = hoveredElement ? getElementInfo(hoveredElement) : null;
+      
+      const screenshot = await this.captureScreenshot(true); // Always a fresh capture
+      if (!screenshot) {
+        console.error("Failed to capture screenshot for manual snapshot");
+        return false;
+      }
+      
+      const stepData = {
+        type: 'manual',
+        url: window.location.href,
+        title: document.title,
+        timestamp: Date.now(),
+        elementInfo,
+        locators: getElementLocators(hoveredElement),
+        instruction: generateManualInstruction(elementInfo, document.title),
+        screenshot
+      };
+      
+      this.sendStep(stepData, response => {
+        if (response && response.success) {
+          console.log("Manual snapshot step added successfully");
+        } else {
+          console.error("Failed to add manual snapshot step:", response);
+        }
+      });
+      
+      return true;
+    } catch (error) {
+      console.error("Error capturing manual snapshot:", error);
+      return false;
+    }
+  }
+  
+  // Find the innermost hovered element, following open shadow roots
+  getHoveredElement() {
+    const hovered = document.querySelectorAll(':hover');
+    let element = hovered[hovered.length - 1] || null;
+    
+    while (element && element.shadowRoot) {
+      const inner = element.shadowRoot.querySelectorAll(':hover');
+      if (inner.length === 0) break;
+      element = inner[inner.length - 1];
+    }
+    
+    if (!element || ['html', 'body', 'iframe', 'frame'].includes(element.tagName.toLowerCase())) {
+      return null;
+    }
+    
+    // Skip our own UI and editable fields (their info would include typed values)
+    if (element.closest('[data-sotoscribe]')) return null;
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName) || element.isContentEditable) return null;
+    
+    return element;
+  }
+  
   // Initialize event listeners
   setupListeners() {
     console.log("Setting up event listeners");
@@ -241,7 +356,8 @@ export class BaseHandler {
   
   // Handle URL changes (for SPAs)
   async handleUrlChange() {
-    if (!this.isCapturing) return;
+    // Frame navigations are part of the surrounding page, not workflow steps
+    if (!this.isCapturing || this.isPaused || !this.isTopFrame) return;
     
     try {
       const currentUrl = window.location.href;
@@ -270,12 +386,12 @@ export class BaseHandler {
       await new Promise(resolve => setTimeout(resolve, 500));
       
       // Capture screenshot (force capture for navigation)
-      const screenshot = await this.captureScreenshot(true);
+      let screenshot = await this.captureScreenshot(true);
       if (!screenshot) {
         console.log("Failed to capture screenshot for navigation, retrying...");
         await new Promise(resolve => setTimeout(resolve, 500));
-        const retryScreenshot = await this.captureScreenshot(true);
-        if (!retryScreenshot) {
+        screenshot = await this.captureScreenshot(true);
+        if (!screenshot) {
           console.error("Failed to capture screenshot for navigation after retry");
           return;
         }
@@ -292,10 +408,7 @@ export class BaseHandler {
       };
       
       // Send step to background script
-      chrome.runtime.sendMessage({
-        action: 'addStep',
-        data: stepData
-      }, response => {
+      this.sendStep(stepData, response => {
         if (response && response.success) {
           console.log("Navigation step added successfully");
         } else {
@@ -309,7 +422,7 @@ export class BaseHandler {
   
   // Handle click events
   async handleClick(event) {
-    if (!this.isCapturing) return;
+    if (!this.isCapturing || this.isPaused) return;
     
     try {
       // Skip if window doesn't have focus
@@ -330,8 +443,11 @@ export class BaseHandler {
         return;
       }
       
+      // Describe the control the user meant, e.g. the button around a clicked icon,
+      // looking inside web components rather than at their retargeted host
+      const element = findActionableTarget(event);
+      
       // Skip clicks on very small elements (often tracking pixels)
-      const element = event.target;
       const rect = element.getBoundingClientRect();
       if (rect.width < 5 || rect.height < 5) {
         console.log("Ignoring click on tiny element");
@@ -349,7 +465,7 @@ export class BaseHandler {
       // Get the clicked element
       this.lastActionElement = element;
       
-      // Determine the element description
+      // Determine the element description (kept on the step so instructions can be regenerated)
       const elementInfo = getElementInfo(element);
       console.log("Element info:", elementInfo);
       
@@ -360,6 +476,9 @@ export class BaseHandler {
       const screenshot = await this.captureScreenshot(true);
       this.removeHighlight();
       
+      // Click position in top-level viewport space, matching the tab screenshot
+      const clickPosition = await toTopLevelPoint(event.clientX, event.clientY);
+      
       // Generate instruction
       const instruction = generateClickInstruction(elementInfo);
       
@@ -379,17 +498,16 @@ export class BaseHandler {
         title: document.title,
         timestamp: Date.now(),
         elementInfo,
+        locators: getElementLocators(element),
         pageContext,
+        clickPosition,
         instruction,
         screenshot
       };
       
       // Send step to background script
       console.log("Sending click step to background");
-      chrome.runtime.sendMessage({
-        action: 'addStep',
-        data: stepData
-      }, response => {
+      this.sendStep(stepData, response => {
         if (response && response.success) {
           console.log("Step added successfully, total steps:", response.stepCount);
         } else {
@@ -403,7 +521,7 @@ export class BaseHandler {
   
   // Handle form submission
   async handleFormSubmit(event) {
-    if (!this.isCapturing) return;
+    if (!this.isCapturing || this.isPaused) return;
     
     try {
       // Skip if window doesn't have focus
@@ -446,11 +564,7 @@ export class BaseHandler {
         if (!element.name || element.type === 'button' || element.type === 'submit') continue;
         
         // Mask sensitive data
-        if (isSensitiveField(element)) {
-          formData[element.name] = '[MASKED]';
-        } else {
-          formData[element.name] = element.value;
-        }
+        formData[element.name] = maskInputValue(element, element.value).actualValue;
       }
       
       // Capture screenshot (force capture for form submission)
@@ -466,15 +580,13 @@ export class BaseHandler {
         title: document.title,
         timestamp: Date.now(),
         formData,
+        locators: getElementLocators(form),
         instruction,
         screenshot
       };
       
       // Send step to background script
-      chrome.runtime.sendMessage({
-        action: 'addStep',
-        data: stepData
-      }, response => {
+      this.sendStep(stepData, response => {
         if (response && response.success) {
           console.log("Form submission step added successfully");
         } else {
@@ -488,7 +600,7 @@ export class BaseHandler {
   
   // Handle keydown events
   async handleKeyDown(event) {
-    if (!this.isCapturing) return;
+    if (!this.isCapturing || this.isPaused) return;
     
     try {
       // Skip if window doesn't have focus
@@ -543,16 +655,14 @@ export class BaseHandler {
           timestamp: Date.now(),
           shortcut,
           targetElement: elementInfo,
+          locators: getElementLocators(targetElement),
           instruction,
           screenshot
         };
         
         // Send step to background script
         console.log("Sending keyboard step to background");
-        chrome.runtime.sendMessage({
-          action: 'addStep',
-          data: stepData
-        }, response => {
+        this.sendStep(stepData, response => {
           if (response && response.success) {
             console.log("Keyboard step added successfully");
           } else {
@@ -567,7 +677,7 @@ export class BaseHandler {
   
   // Handle input events with throttling
   handleInput(event) {
-    if (!this.isCapturing) return;
+    if (!this.isCapturing || this.isPaused) return;
     
     try {
       // Skip if window doesn't have focus
@@ -619,11 +729,8 @@ export class BaseHandler {
         // Determine the element description
         const elementInfo = getElementInfo(element);
         
-        // Check if field contains sensitive data
-        const isSensitive = isSensitiveField(element);
-        
-        // Create a masked value if needed
-        const maskedValue = isSensitive ? getMaskedValue(element) : actualValue;
+        // Mask the value before it leaves the page
+        const masking = maskInputValue(element, actualValue, elementInfo);
         
         // Highlight the element
         this.highlightElement(element);
@@ -631,7 +738,7 @@ export class BaseHandler {
         this.removeHighlight();
         
         // Generate instruction with actual text for non-sensitive data
-        const instruction = generateInputInstruction(elementInfo, isSensitive, actualValue);
+        const instruction = generateInputInstruction(elementInfo, masking.isSensitive, masking.actualValue);
         
         // Create step data
         const stepData = {
@@ -640,19 +747,19 @@ export class BaseHandler {
           title: document.title,
           timestamp: Date.now(),
           elementInfo,
-          actualValue: isSensitive ? '[MASKED]' : actualValue,
-          maskedValue,
-          isSensitive,
+          locators: getElementLocators(element),
+          actualValue: masking.actualValue,
+          maskedValue: masking.maskedValue,
+          isSensitive: masking.isSensitive,
+          maskRule: masking.maskRule,
+          maskReason: masking.maskReason,
           instruction,
           screenshot
         };
         
         // Send step to background script
         console.log("Sending input step to background");
-        chrome.runtime.sendMessage({
-          action: 'addStep',
-          data: stepData
-        }, response => {
+        this.sendStep(stepData, response => {
           if (response && response.success) {
             console.log("Input step added successfully");
           } else {
@@ -682,8 +789,19 @@ export class BaseHandler {
     }
   }
   
+  // Send a captured step to the background
+  async sendStep(stepData, callback) {
+    // Steps from iframes carry the selectors that lead to their frame, for replay
+    if (!this.isTopFrame) {
+      stepData.framePath = await getFramePath();
+    }
+    
+    chrome.runtime.sendMessage({ action: 'addStep', data: stepData }, callback);
+  }
+  
   // Capture a screenshot of the current page
-  async captureScreenshot(forceCapture = false) {
+  // Extra fields in the request let subclasses tag their captures (e.g. isSalesforce)
+  async captureScreenshot(forceCapture = false, requestFields = {}) {
     try {
       return new Promise((resolve) => {
         // Set timeout to avoid hanging
@@ -696,13 +814,18 @@ export class BaseHandler {
         let attempts = 0;
         const maxAttempts = 3;
         
-        function attemptScreenshot() {
+        async function attemptScreenshot() {
           attempts++;
           
+          // Collect sensitive regions right before the capture so they match the image
+          const redaction = await getScreenshotRedaction();
+          
           // Send request to background script
           chrome.runtime.sendMessage({ 
+            ...requestFields,
             action: 'captureScreenshot',
-            forceCapture: forceCapture
+            forceCapture: forceCapture,
+            redaction
           }, (response) => {
             if (chrome.runtime.lastError) {
               console.error("Screenshot error:", chrome.runtime.lastError);
@@ -856,6 +979,15 @@ export class BaseHandler {
     document.body.appendChild(indicator);
   }
   
+  // Reflect the paused state on the session indicator
+  updateSessionIndicator() {
+    const indicator = document.getElementById('sotoscribe-indicator');
+    if (!indicator) return;
+    
+    indicator.textContent = this.isPaused ? 'Paused' : 'Recording';
+    indicator.style.backgroundColor = this.isPaused ? '#757575' : '#00B3A4';
+  }
+  
   // Client-side function to remove session indicator
   removeSessionIndicator() {
     const indicator = document.getElementById('sotoscribe-indicator');
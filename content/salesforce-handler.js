@@ -18,8 +18,11 @@
 // Specialized handling for Salesforce Lightning UI with improved performance
 
 import { BaseHandler } from './base-handler.js';
-import { getElementInfo, generateInputInstruction } from './utils/element-info.js';
-import { isSensitiveField, getMaskedValue } from './utils/sensitive-data.js';
+import { getElementInfo, generateClickInstruction, generateInputInstruction } from './utils/element-info.js';
+import { findActionableTarget } from './utils/shadow-dom-utils.js';
+import { getElementLocators } from './utils/locators.js';
+import { maskInputValue } from './utils/sensitive-data.js';
+import { toTopLevelPoint } from './utils/frame-utils.js';
 
 // Enhanced logging for Salesforce
 function sfLog(message, data) {
@@ -93,7 +96,7 @@ export class SalesforceHandler extends BaseHandler {
   setupDelegatedEventListeners() {
     // Single delegated click handler for the entire document
     document.addEventListener('click', (event) => {
-      if (!this.isCapturing || !this.windowHasFocus) return;
+      if (!this.isCapturing || this.isPaused || !this.windowHasFocus) return;
       
       // Skip if not trusted
       if (!event.isTrusted) return;
@@ -107,7 +110,7 @@ export class SalesforceHandler extends BaseHandler {
     
     // Single delegated change handler for inputs
     document.addEventListener('change', (event) => {
-      if (!this.isCapturing || !this.windowHasFocus) return;
+      if (!this.isCapturing || this.isPaused || !this.windowHasFocus) return;
       
       // Skip if not trusted
       if (!event.isTrusted) return;
@@ -117,13 +120,13 @@ export class SalesforceHandler extends BaseHandler {
       
       // For select elements, handle immediately
       if (event.target.tagName === 'SELECT') {
-        this.handleSalesforceInput(event);
+        this.handleInputWithDebounce(event.target, 0);
       }
     }, true);
     
     // Input handler for text fields with debounce
     document.addEventListener('input', (event) => {
-      if (!this.isCapturing || !this.windowHasFocus) return;
+      if (!this.isCapturing || this.isPaused || !this.windowHasFocus) return;
       
       // Skip if not trusted
       if (!event.isTrusted) return;
@@ -148,7 +151,7 @@ export class SalesforceHandler extends BaseHandler {
     
     // Focus handler for tracking active inputs
     document.addEventListener('focus', (event) => {
-      if (!this.isCapturing || !this.windowHasFocus) return;
+      if (!this.isCapturing || this.isPaused || !this.windowHasFocus) return;
       
       // Skip if not an input element
       if (!this.isInputElement(event.target)) return;
@@ -169,17 +172,17 @@ export class SalesforceHandler extends BaseHandler {
     
     // Custom event listeners for Lightning components
     document.addEventListener(this.LIGHTNING_EVENTS.PAGE_CHANGE, (event) => {
-      if (!this.isCapturing || !this.windowHasFocus) return;
+      if (!this.isCapturing || this.isPaused || !this.windowHasFocus) return;
       this.handleLightningPageChange(event.detail);
     });
     
     document.addEventListener(this.LIGHTNING_EVENTS.INPUT_CHANGE, (event) => {
-      if (!this.isCapturing || !this.windowHasFocus) return;
+      if (!this.isCapturing || this.isPaused || !this.windowHasFocus) return;
       this.handleLightningInputChange(event.detail);
     });
     
     document.addEventListener(this.LIGHTNING_EVENTS.COMPONENT_LOAD, (event) => {
-      if (!this.isCapturing || !this.windowHasFocus) return;
+      if (!this.isCapturing || this.isPaused || !this.windowHasFocus) return;
       this.handleLightningComponentLoad(event.detail);
     });
     
@@ -193,7 +196,7 @@ export class SalesforceHandler extends BaseHandler {
   monitorURLChanges() {
     // Check for URL changes every 500ms
     setInterval(() => {
-      if (!this.isCapturing || !this.windowHasFocus) return;
+      if (!this.isCapturing || this.isPaused || !this.windowHasFocus) return;
       
       const currentUrl = window.location.href;
       
@@ -251,13 +254,33 @@ export class SalesforceHandler extends BaseHandler {
   startCapture(sessionId) {
     sfLog("Starting capture in Salesforce mode with improved event handling");
     
-    // Call base implementation
+    // Call base implementation (also captures the initial state)
     super.startCapture(sessionId);
+  }
+  
+  // Override: click, input and URL changes are already covered by the delegated
+  // listeners from initialize(), so only add the remaining base listeners
+  setupListeners() {
+    document.addEventListener('keydown', this.handleKeyDown, true);
+    document.addEventListener('submit', this.handleFormSubmit, true);
     
-    // Capture initial state after a short delay
-    setTimeout(() => {
-      this.captureInitialState();
-    }, 500);
+    sfLog("Keyboard and form listeners set up for Salesforce");
+  }
+  
+  // Override: remove only the listeners added by setupListeners()
+  removeListeners() {
+    document.removeEventListener('keydown', this.handleKeyDown, true);
+    document.removeEventListener('submit', this.handleFormSubmit, true);
+  }
+  
+  // Override: Pause capture and drop any pending Salesforce UI change step
+  pauseCapture() {
+    if (this.salesforceUIChangeTimeout) {
+      clearTimeout(this.salesforceUIChangeTimeout);
+      this.salesforceUIChangeTimeout = null;
+    }
+    
+    super.pauseCapture();
   }
   
   // Override: Stop capture with Salesforce cleanup
@@ -278,10 +301,17 @@ export class SalesforceHandler extends BaseHandler {
   async handleSalesforceClick(event) {
     try {
       // Skip if not capturing
-      if (!this.isCapturing) return;
+      if (!this.isCapturing || this.isPaused) return;
+      
+      // Get the control the user meant, e.g. the button inside a lightning-button
+      const element = findActionableTarget(event);
+      
+      // Check for duplicate clicks
+      if (this.isDuplicateAction('click', element)) {
+        sfLog("Ignoring duplicate Salesforce click");
+        return;
+      }
       
-      // Get the clicked element
-      const element = event.target;
       this.lastActionElement = element;
       
       // Determine the element description with Salesforce enhancements
@@ -293,6 +323,9 @@ export class SalesforceHandler extends BaseHandler {
       const screenshot = await this.captureScreenshot(true); // force capture
       this.removeHighlight();
       
+      // Click position in top-level viewport space, matching the tab screenshot
+      const clickPosition = await toTopLevelPoint(event.clientX, event.clientY);
+      
       // Generate instruction
       const instruction = this.generateSalesforceClickInstruction(elementInfo);
       
@@ -303,6 +336,8 @@ export class SalesforceHandler extends BaseHandler {
         title: document.title,
         timestamp: Date.now(),
         elementInfo,
+        locators: getElementLocators(element),
+        clickPosition,
         instruction,
         screenshot,
         salesforceMetadata: {
@@ -314,10 +349,7 @@ export class SalesforceHandler extends BaseHandler {
       
       // Send step to background script
       sfLog("Sending Salesforce click step to background");
-      chrome.runtime.sendMessage({
-        action: 'addStep',
-        data: stepData
-      });
+      this.sendStep(stepData);
     } catch (error) {
       console.error("Error handling Salesforce click:", error);
     }
@@ -325,7 +357,7 @@ export class SalesforceHandler extends BaseHandler {
   
   // Handle Salesforce-specific input with debouncing
   handleInputWithDebounce(element, debounceTime) {
-    if (!this.isCapturing) return;
+    if (!this.isCapturing || this.isPaused) return;
     
     const elementId = this.getElementId(element);
     
@@ -352,11 +384,8 @@ export class SalesforceHandler extends BaseHandler {
       // Determine the element description
       const elementInfo = this.getSalesforceElementInfo(element);
       
-      // Check if field contains sensitive data
-      const isSensitive = isSensitiveField(element);
-      
-      // Create a masked value if needed
-      const maskedValue = isSensitive ? getMaskedValue(element) : actualValue;
+      // Mask the value before it leaves the page
+      const masking = maskInputValue(element, actualValue, elementInfo);
       
       // Highlight the element
       this.highlightElement(element);
@@ -364,7 +393,7 @@ export class SalesforceHandler extends BaseHandler {
       this.removeHighlight();
       
       // Generate instruction with actual text for non-sensitive data
-      const instruction = generateInputInstruction(elementInfo, isSensitive, actualValue, true);
+      const instruction = generateInputInstruction(elementInfo, masking.isSensitive, masking.actualValue, true);
       
       // Create step data with additional Salesforce info
       const stepData = {
@@ -373,9 +402,12 @@ export class SalesforceHandler extends BaseHandler {
         title: document.title,
         timestamp: Date.now(),
         elementInfo,
-        actualValue: isSensitive ? '[MASKED]' : actualValue,
-        maskedValue,
-        isSensitive,
+        locators: getElementLocators(element),
+        actualValue: masking.actualValue,
+        maskedValue: masking.maskedValue,
+        isSensitive: masking.isSensitive,
+        maskRule: masking.maskRule,
+        maskReason: masking.maskReason,
         instruction,
         screenshot,
         salesforceMetadata: {
@@ -387,10 +419,7 @@ export class SalesforceHandler extends BaseHandler {
       
       // Send step to background script
       sfLog("Sending Salesforce input step to background");
-      chrome.runtime.sendMessage({
-        action: 'addStep',
-        data: stepData
-      });
+      this.sendStep(stepData);
     }, debounceTime);
     
     this.pendingScreenshots.set(elementId, timeoutId);
@@ -425,7 +454,8 @@ export class SalesforceHandler extends BaseHandler {
   
   // Override handleUrlChange to use force capture for Salesforce navigation
   async handleUrlChange() {
-    if (!this.isCapturing) return;
+    // Frame navigations are part of the surrounding page, not workflow steps
+    if (!this.isCapturing || this.isPaused || !this.isTopFrame) return;
     
     try {
       const currentUrl = window.location.href;
@@ -448,12 +478,12 @@ export class SalesforceHandler extends BaseHandler {
       await new Promise(resolve => setTimeout(resolve, 800));
       
       // Capture screenshot (force capture for navigation)
-      const screenshot = await this.captureScreenshot(true);
+      let screenshot = await this.captureScreenshot(true);
       if (!screenshot) {
         sfLog("Failed to capture screenshot for navigation, retrying...");
         await new Promise(resolve => setTimeout(resolve, 500));
-        const retryScreenshot = await this.captureScreenshot(true);
-        if (!retryScreenshot) {
+        screenshot = await this.captureScreenshot(true);
+        if (!screenshot) {
           console.error("Failed to capture screenshot for navigation after retry");
           return;
         }
@@ -473,10 +503,7 @@ export class SalesforceHandler extends BaseHandler {
       };
       
       // Send step to background script
-      chrome.runtime.sendMessage({
-        action: 'addStep',
-        data: stepData
-      });
+      this.sendStep(stepData);
     } catch (error) {
       console.error("Error handling URL change in Salesforce:", error);
     }
@@ -485,7 +512,7 @@ export class SalesforceHandler extends BaseHandler {
   // Handle Salesforce UI changes
   async handleSalesforceUIChange() {
     // Skip if not capturing or window doesn't have focus
-    if (!this.isCapturing || !this.windowHasFocus) {
+    if (!this.isCapturing || this.isPaused || !this.windowHasFocus) {
       return;
     }
     
@@ -516,10 +543,7 @@ export class SalesforceHandler extends BaseHandler {
         };
         
         // Send step to background script
-        chrome.runtime.sendMessage({
-          action: 'addStep',
-          data: stepData
-        });
+        this.sendStep(stepData);
       } catch (error) {
         console.error("Error handling Salesforce UI change:", error);
       }
@@ -528,64 +552,7 @@ export class SalesforceHandler extends BaseHandler {
   
   // Capture a screenshot with Salesforce-specific settings
   async captureScreenshot(forceCapture = false) {
-    try {
-      return new Promise((resolve) => {
-        // Set timeout to avoid hanging
-        const timeoutId = setTimeout(() => {
-          console.warn("Screenshot capture timed out");
-          resolve(null);
-        }, 5000);
-        
-        // Try to get a screenshot up to 3 times
-        let attempts = 0;
-        const maxAttempts = 3;
-        
-        function attemptScreenshot() {
-          attempts++;
-          
-          // Send request to background script with Salesforce flag and force capture
-          chrome.runtime.sendMessage({ 
-            action: 'captureScreenshot',
-            isSalesforce: true,
-            forceCapture: forceCapture
-          }, (response) => {
-            if (chrome.runtime.lastError) {
-              console.error("Screenshot error:", chrome.runtime.lastError);
-              
-              if (attempts < maxAttempts) {
-                // Try again after a short delay
-                setTimeout(attemptScreenshot, 300);
-              } else {
-                clearTimeout(timeoutId);
-                console.error("Failed to capture screenshot after multiple attempts");
-                resolve(null);
-              }
-              return;
-            }
-            
-            clearTimeout(timeoutId);
-            
-            if (response && response.screenshot) {
-              resolve(response.screenshot);
-            } else {
-              if (attempts < maxAttempts) {
-                // Try again after a short delay
-                setTimeout(attemptScreenshot, 300);
-              } else {
-                console.error("Failed to get screenshot from background", response);
-                resolve(null);
-              }
-            }
-          });
-        }
-        
-        // Start the first attempt
-        attemptScreenshot();
-      });
-    } catch (error) {
-      console.error("Error capturing screenshot in Salesforce:", error);
-      return null;
-    }
+    return super.captureScreenshot(forceCapture, { isSalesforce: true });
   }
   
   // Salesforce-specific element info extraction
@@ -652,7 +619,8 @@ export class SalesforceHandler extends BaseHandler {
       // Override elementName with better Salesforce-specific name if available
       if (salesforceInfo.label) {
         baseInfo.elementName = salesforceInfo.label;
-      } else if (salesforceInfo.componentType) {
+      } else if (salesforceInfo.componentType && !['Button', 'Tab'].includes(salesforceInfo.componentType)) {
+        // Buttons and tabs name their type in the instruction instead
         if (baseInfo.elementName) {
           baseInfo.elementName = `${baseInfo.elementName} ${salesforceInfo.componentType}`;
         } else {
@@ -674,21 +642,16 @@ export class SalesforceHandler extends BaseHandler {
       const sfInfo = elementInfo.salesforce;
       
       if (sfInfo.componentType === 'Button') {
-        return `Click the **${elementInfo.elementName || 'button'}**`;
+        return `Click the **${elementInfo.elementName || 'Salesforce'}** button`;
       } else if (sfInfo.componentType === 'Tab') {
-        return `Click the **${elementInfo.elementName || 'tab'}**`;
-      } else if (sfInfo.label) {
+        return `Click the **${elementInfo.elementName || 'Salesforce'}** tab`;
+      } else if (sfInfo.label && !elementInfo.controlType) {
         return `Click on **${sfInfo.label}**`;
       }
     }
     
-    // Fall back to standard click instruction
-    const elementText = elementInfo.elementName || 'element';
-    const elementType = elementInfo.tagName || 'element';
-    
-    // Create a more descriptive instruction
-    let typeName = elementType === 'div' || elementType === 'span' ? 'element' : elementType;
-    return `Click on the **${elementText}** ${typeName}`;
+    // Fall back to the standard semantic click instruction
+    return generateClickInstruction(elementInfo);
   }
   
   // Find the closest Lightning component
@@ -205,7 +205,8 @@ export function getElementXPath(element) {
     const paths = [];
     let current = element;
     
-    while (current && current !== document.documentElement) {
+    // Include the root <html> step so the path is absolute
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
       let index = 0;
       let hasFollowingSibling = false;
       
@@ -275,6 +276,67 @@ export function closestElement(element, selector) {
   }
 }
 
+/**
+ * Selector for elements a user can act on (the click target we describe)
+ */
+export const ACTIONABLE_SELECTOR = [
+  'button',
+  'a[href]',
+  'input',
+  'select',
+  'textarea',
+  'option',
+  'summary',
+  'label',
+  '[contenteditable="true"]',
+  '[role="button"]',
+  '[role="link"]',
+  '[role="tab"]',
+  '[role="menuitem"]',
+  '[role="menuitemcheckbox"]',
+  '[role="menuitemradio"]',
+  '[role="checkbox"]',
+  '[role="radio"]',
+  '[role="switch"]',
+  '[role="option"]',
+  '[role="treeitem"]',
+  '[role="combobox"]',
+  '[onclick]'
+].join(', ');
+
+/**
+ * Find the element the user meant to act on, e.g. the button around a clicked SVG icon
+ * @param {Element} element - Element that received the event
+ * @returns {Element} Actionable ancestor, or the element itself if there is none
+ */
+export function findActionableElement(element) {
+  try {
+    if (!element) return element;
+    
+    // Events can target text nodes or SVG children
+    const start = element.nodeType === Node.ELEMENT_NODE ? element : element.parentElement;
+    const actionable = start ? closestElement(start, ACTIONABLE_SELECTOR) : null;
+    
+    if (!actionable || actionable === document.body) {
+      return start || element;
+    }
+    
+    // A label stands in for its form control, unless the control is visually hidden
+    // (custom-styled checkboxes) and the label is what the user actually sees
+    if (actionable.tagName.toLowerCase() === 'label' && actionable.control) {
+      const controlRect = actionable.control.getBoundingClientRect();
+      if (controlRect.width > 0 && controlRect.height > 0) {
+        return actionable.control;
+      }
+    }
+    
+    return actionable;
+  } catch (error) {
+    console.error("Error finding actionable element:", error);
+    return element;
+  }
+}
+
 /**
  * Check if an element is a form field
  * @param {Element} element - Element to check
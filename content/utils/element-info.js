@@ -18,7 +18,7 @@
 // Functions for extracting and generating information about DOM elements
 
 import { findLabelForElement } from './dom-utils.js';
-import { findShadowInputLabel } from './shadow-dom-utils.js';
+import { findShadowInputLabel, getComposedTextContent } from './shadow-dom-utils.js';
 
 /**
  * Extract useful information about an element
@@ -40,8 +40,10 @@ export function getElementInfo(element) {
       }
     }
     
-    // Get element text content
-    let textContent = element.textContent?.trim() || '';
+    // Get element text content (including slotted text for elements inside web components)
+    const rootNode = element.getRootNode ? element.getRootNode() : document;
+    const inShadowRoot = typeof ShadowRoot !== 'undefined' && rootNode instanceof ShadowRoot;
+    let textContent = (inShadowRoot ? getComposedTextContent(element) : element.textContent?.trim()) || '';
     if (textContent.length > 50) {
       textContent = textContent.substring(0, 50) + '...';
     }
@@ -60,10 +62,12 @@ export function getElementInfo(element) {
     let ariaText = '';
     
     if (ariaLabelledBy) {
-      const labelElement = document.getElementById(ariaLabelledBy);
-      if (labelElement) {
-        ariaText = labelElement.textContent.trim();
-      }
+      // IDs resolve within the element's own tree, which may be a shadow root
+      const idScope = inShadowRoot ? rootNode : document;
+      ariaText = ariaLabelledBy.split(/\s+/)
+        .map(id => idScope.getElementById(id)?.textContent.trim())
+        .filter(Boolean)
+        .join(' ');
     }
     
     // Determine the most descriptive name for the element
@@ -74,7 +78,8 @@ export function getElementInfo(element) {
       element.getAttribute('placeholder') || 
       element.getAttribute('name') ||
       element.getAttribute('title') ||
-      element.value || 
+      // Only button captions; a field's value is user data, not its name
+      (['button', 'submit', 'reset'].includes(element.type) ? element.value : '') ||
       (textContent && textContent.length < 30 ? textContent : '') ||
       (element.id ? '#' + element.id : '') ||
       tagName;
@@ -82,6 +87,9 @@ export function getElementInfo(element) {
     // Get element role
     const role = element.getAttribute('role') || '';
     
+    // Checked state of checkable controls after the click
+    const { checked, controlType } = getCheckedState(element, tagName, role);
+    
     // Get computed styles for better visibility
     const styles = window.getComputedStyle(element);
     const isVisible = styles.display !== 'none' && styles.visibility !== 'hidden' && styles.opacity !== '0';
@@ -103,6 +111,8 @@ export function getElementInfo(element) {
       label,
       ariaLabel,
       role,
+      checked,
+      controlType,
       isVisible,
       dimensions
     };
@@ -115,6 +125,33 @@ export function getElementInfo(element) {
   }
 }
 
+/**
+ * Work out the checked state a click leaves a checkbox, radio or switch in.
+ * Native inputs are already toggled when the click event is dispatched; ARIA
+ * widgets and labels of hidden inputs toggle afterwards, so their state is inverted.
+ * @param {Element} element - Clicked element
+ * @param {string} tagName - Lower-case tag name
+ * @param {string} role - ARIA role
+ * @returns {Object} { checked, controlType } or nulls for other elements
+ */
+function getCheckedState(element, tagName, role) {
+  if (tagName === 'input' && (element.type === 'checkbox' || element.type === 'radio')) {
+    return { checked: element.checked, controlType: element.type };
+  }
+  
+  if (['checkbox', 'radio', 'switch', 'menuitemcheckbox', 'menuitemradio'].includes(role)) {
+    const controlType = role.replace('menuitem', '');
+    return { checked: element.getAttribute('aria-checked') !== 'true', controlType };
+  }
+  
+  if (tagName === 'label' && element.control &&
+      (element.control.type === 'checkbox' || element.control.type === 'radio')) {
+    return { checked: !element.control.checked, controlType: element.control.type };
+  }
+  
+  return { checked: null, controlType: null };
+}
+
 /**
  * Generate a click instruction
  * @param {Object} elementInfo - Element information
@@ -138,19 +175,26 @@ export function generateClickInstruction(elementInfo) {
       }
     }
     
+    const inputType = elementInfo.tagName === 'input' ? (elementInfo.attributes?.type || 'text') : '';
+    
     // Build a more detailed instruction based on element type
-    if (elementInfo.tagName === 'button' || 
-        elementInfo.tagName === 'a' || 
-        elementRole === 'button') {
-      instructionText = `Click the **${elementText}** button`;
-    } else if (elementInfo.tagName === 'input' && elementInfo.attributes.type === 'checkbox') {
-      const action = elementInfo.attributes.checked ? 'Check' : 'Uncheck';
+    if (elementInfo.controlType === 'checkbox') {
+      const action = elementInfo.checked ? 'Check' : 'Uncheck';
       instructionText = `${action} the **${elementInfo.label || elementText}** checkbox`;
-    } else if (elementInfo.tagName === 'input' && elementInfo.attributes.type === 'radio') {
+    } else if (elementInfo.controlType === 'switch') {
+      const action = elementInfo.checked ? 'Turn on' : 'Turn off';
+      instructionText = `${action} the **${elementInfo.label || elementText}** switch`;
+    } else if (elementInfo.controlType === 'radio') {
       instructionText = `Select the **${elementInfo.label || elementText}** radio option`;
-    } else if (elementInfo.tagName === 'select') {
+    } else if (elementInfo.tagName === 'a' || elementRole === 'link') {
+      instructionText = `Click the **${elementText}** link`;
+    } else if (elementInfo.tagName === 'button' ||
+               elementRole === 'button' ||
+               ['button', 'reset', 'image'].includes(inputType)) {
+      instructionText = `Click the **${elementText}** button`;
+    } else if (elementInfo.tagName === 'select' || elementRole === 'combobox') {
       instructionText = `Open the **${elementInfo.label || elementText}** dropdown menu`;
-    } else if (elementInfo.tagName === 'option') {
+    } else if (elementInfo.tagName === 'option' || elementRole === 'option') {
       instructionText = `Select **${elementText}** from the dropdown menu`;
     } else if (elementInfo.tagName === 'input' && elementInfo.attributes.type === 'submit') {
       instructionText = `Click the **${elementText}** submit button`;
@@ -166,6 +210,16 @@ export function generateClickInstruction(elementInfo) {
       instructionText = `Click on the **${elementText}** tab`;
     } else if (elementRole === 'menuitem') {
       instructionText = `Click on the **${elementText}** menu item`;
+    } else if (elementRole === 'treeitem') {
+      instructionText = `Click on the **${elementText}** tree item`;
+    } else if (elementInfo.tagName === 'summary') {
+      instructionText = `Toggle the **${elementText}** section`;
+    } else if (['text', 'email', 'number', 'password', 'search', 'tel', 'url', 'date'].includes(inputType) ||
+               elementInfo.tagName === 'textarea' ||
+               elementInfo.attributes?.contenteditable === 'true') {
+      instructionText = `Click in the **${elementInfo.label || elementText}** field`;
+    } else if (elementInfo.tagName === 'label') {
+      instructionText = `Click **${elementText}**`;
     } else {
       // More detailed description for other elements
       const typeName = elementType === 'div' || elementType === 'span' ? 'element' : elementType;
@@ -271,4 +325,24 @@ export function generateFormSubmitInstruction(formElement, formData) {
     console.error("Error generating form submit instruction:", error);
     return `Submit the form`;
   }
+}
+
+/**
+ * Generate an instruction for a manual snapshot
+ * @param {Object|null} elementInfo - Information about the hovered element, if any
+ * @param {string} pageTitle - Title of the page
+ * @returns {string} Instruction text
+ */
+export function generateManualInstruction(elementInfo, pageTitle) {
+  try {
+    // Hover menus and tooltips are the main reason for a manual snapshot
+    if (elementInfo && elementInfo.elementName && elementInfo.elementName !== elementInfo.tagName) {
+      return `Hover over **${elementInfo.elementName}** to show this view`;
+    }
+    
+    return `Review the current state of **${pageTitle || 'the page'}**`;
+  } catch (error) {
+    console.error("Error generating manual snapshot instruction:", error);
+    return `Review the current state of the page`;
+  }
 }
\ No newline at end of file
@@ -0,0 +1,251 @@
+/*
+ * Copyright [2025] [Antony Soto]
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// SotoScribe - Frame Utilities
+// Helpers for mapping coordinates from nested (including cross-origin) frames into top-level viewport space
+
+import { findElementsInShadowDOM } from './shadow-dom-utils.js';
+
+const OFFSET_REQUEST = 'sotoscribe:frameOffsetRequest';
+const OFFSET_RESPONSE = 'sotoscribe:frameOffsetResponse';
+const OFFSET_TIMEOUT_MS = 500;
+const PROBE_REQUEST = 'sotoscribe:frameProbeRequest';
+const PROBE_RESPONSE = 'sotoscribe:frameProbeResponse';
+const PROBE_TIMEOUT_MS = 300;
+
+/**
+ * Check if the current document is the top-level frame
+ * @returns {boolean} Whether we are running in the top frame
+ */
+export function isTopFrame() {
+  try {
+    return window === window.top;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Find the iframe element in this document that hosts the given window
+ * @param {Window} source - Window of the child frame
+ * @returns {Element|null} The hosting frame element
+ */
+function findFrameElement(source) {
+  const frames = [
+    ...document.querySelectorAll('iframe, frame'),
+    ...findElementsInShadowDOM(document.body, 'iframe')
+  ];
+  
+  for (const frame of frames) {
+    if (frame.contentWindow === source) {
+      return frame;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Build a selector that finds a frame element within this document, preferring
+ * stable attributes and falling back to its position among frames of its kind
+ * @param {Element} frame - iframe or frame element
+ * @returns {string} Playwright-compatible selector
+ */
+function getFrameSelector(frame) {
+  const tag = frame.localName;
+  const candidates = [];
+  
+  if (frame.id) candidates.push(`${tag}#${CSS.escape(frame.id)}`);
+  for (const attribute of ['name', 'title']) {
+    const value = frame.getAttribute(attribute);
+    if (value) candidates.push(`${tag}[${attribute}="${CSS.escape(value)}"]`);
+  }
+  
+  // Match the source by its path only: query strings and hashes often carry session
+  // tokens or signatures, and inline documents would copy page content into the selector
+  const src = frame.getAttribute('src');
+  const srcPath = src && !/^(data|blob|javascript):/i.test(src) ? src.split(/[?#]/)[0] : '';
+  if (srcPath) candidates.push(`${tag}[src^="${CSS.escape(srcPath)}"]`);
+  
+  const unique = candidates.find(selector => document.querySelectorAll(selector).length === 1);
+  if (unique) return unique;
+  
+  const index = Array.from(document.querySelectorAll(tag)).indexOf(frame);
+  return index >= 0 ? `${tag} >> nth=${index}` : tag;
+}
+
+/**
+ * Answer offset requests from child frames. Each frame replies with the child's
+ * content box position plus its own offset, so nested frames resolve up the chain.
+ * Also answers the parent frame's probe, telling it SotoScribe runs in this frame.
+ */
+export function installFrameOffsetResponder() {
+  window.addEventListener('message', async (event) => {
+    const data = event.data;
+    if (!data || !event.source) return;
+    
+    if (data.type === PROBE_REQUEST && event.source === window.parent) {
+      event.source.postMessage({ type: PROBE_RESPONSE, requestId: data.requestId }, '*');
+      return;
+    }
+    if (data.type !== OFFSET_REQUEST) return;
+    
+    try {
+      const frame = findFrameElement(event.source);
+      if (!frame) return;
+      
+      // Position of the child's content box (inside border and padding)
+      const rect = frame.getBoundingClientRect();
+      const styles = window.getComputedStyle(frame);
+      const ownOffset = await getTopLevelOffset();
+      
+      event.source.postMessage({
+        type: OFFSET_RESPONSE,
+        requestId: data.requestId,
+        x: ownOffset.x + rect.left + frame.clientLeft + (parseFloat(styles.paddingLeft) || 0),
+        y: ownOffset.y + rect.top + frame.clientTop + (parseFloat(styles.paddingTop) || 0),
+        viewport: ownOffset.viewport,
+        framePath: ownOffset.framePath ? [...ownOffset.framePath, getFrameSelector(frame)] : null
+      }, '*');
+    } catch (error) {
+      console.error("Error answering frame offset request:", error);
+    }
+  });
+}
+
+/**
+ * Get the offset of this frame's viewport within the top-level viewport
+ * @returns {Promise<Object>} Offset {x, y}, the top-level viewport size and the frame
+ *   selectors from the top document down to this frame (null if a frame didn't answer)
+ */
+export function getTopLevelOffset() {
+  const ownViewport = { width: window.innerWidth, height: window.innerHeight };
+  
+  if (isTopFrame()) {
+    return Promise.resolve({ x: 0, y: 0, viewport: ownViewport, framePath: [] });
+  }
+  
+  return new Promise((resolve) => {
+    const requestId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    
+    const finish = (result) => {
+      clearTimeout(timeoutId);
+      window.removeEventListener('message', onResponse);
+      resolve(result);
+    };
+    
+    const onResponse = (event) => {
+      const data = event.data;
+      if (event.source !== window.parent || !data || data.type !== OFFSET_RESPONSE || data.requestId !== requestId) return;
+      finish({ x: data.x, y: data.y, viewport: data.viewport || ownViewport, framePath: data.framePath || null });
+    };
+    
+    // Fall back to an untranslated position if the parent frame doesn't answer
+    const timeoutId = setTimeout(() => {
+      console.warn("Frame offset request timed out, using frame-local coordinates");
+      finish({ x: 0, y: 0, viewport: ownViewport, framePath: null });
+    }, OFFSET_TIMEOUT_MS);
+    
+    window.addEventListener('message', onResponse);
+    window.parent.postMessage({ type: OFFSET_REQUEST, requestId }, '*');
+  });
+}
+
+/**
+ * Check whether SotoScribe answers in a child frame
+ * @param {Window} target - Window of the child frame
+ * @returns {Promise<boolean>} Whether the frame answered in time
+ */
+function probeFrame(target) {
+  return new Promise((resolve) => {
+    const requestId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    
+    const finish = (answered) => {
+      clearTimeout(timeoutId);
+      window.removeEventListener('message', onResponse);
+      resolve(answered);
+    };
+    
+    const onResponse = (event) => {
+      const data = event.data;
+      if (event.source !== target || !data || data.type !== PROBE_RESPONSE || data.requestId !== requestId) return;
+      finish(true);
+    };
+    
+    const timeoutId = setTimeout(() => finish(false), PROBE_TIMEOUT_MS);
+    
+    window.addEventListener('message', onResponse);
+    target.postMessage({ type: PROBE_REQUEST, requestId }, '*');
+  });
+}
+
+/**
+ * Find the child frames of this document that SotoScribe doesn't run in (data: and blob:
+ * documents, other extensions' pages, frames loaded before the extension), since nothing
+ * inside them can report sensitive regions
+ * @returns {Promise<Object>} Number of child frames that answered, and the viewport
+ *   rectangles of the visible frames that didn't
+ */
+export async function probeChildFrames() {
+  const frames = [...new Set([
+    ...document.querySelectorAll('iframe, frame'),
+    ...findElementsInShadowDOM(document.body, 'iframe')
+  ])].filter(frame => frame.contentWindow);
+  
+  const answers = await Promise.all(frames.map(frame => probeFrame(frame.contentWindow)));
+  
+  const viewportWidth = window.innerWidth;
+  const viewportHeight = window.innerHeight;
+  const unansweredRects = [];
+  
+  frames.forEach((frame, index) => {
+    if (answers[index]) return;
+    
+    const rect = frame.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return;
+    if (rect.bottom < 0 || rect.right < 0 || rect.top > viewportHeight || rect.left > viewportWidth) return;
+    
+    unansweredRects.push({ left: rect.left, top: rect.top, width: rect.width, height: rect.height });
+  });
+  
+  return { answeredCount: answers.filter(Boolean).length, unansweredRects };
+}
+
+/**
+ * Get the selectors that lead from the top document down to this frame
+ * @returns {Promise<string[]|null>} Frame selectors, outermost first (empty in the top frame)
+ */
+export async function getFramePath() {
+  const offset = await getTopLevelOffset();
+  return offset.framePath;
+}
+
+/**
+ * Translate a point from this frame's viewport into top-level viewport space
+ * @param {number} x - Frame-local X coordinate
+ * @param {number} y - Frame-local Y coordinate
+ * @returns {Promise<Object>} Top-level position with the viewport size it refers to
+ */
+export async function toTopLevelPoint(x, y) {
+  const offset = await getTopLevelOffset();
+  
+  return {
+    x: x + offset.x,
+    y: y + offset.y,
+    viewportWidth: offset.viewport.width,
+    viewportHeight: offset.viewport.height
+  };
+}
\ No newline at end of file
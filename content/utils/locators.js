@@ -0,0 +1,354 @@
+/*
+ * Copyright [2025] [Antony Soto]
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// SotoScribe - Element Locators
+// Ranked, multi-strategy locators stored on steps so replay, test generation and
+// drift checks can find the element again. Uniqueness is checked at capture time.
+
+import { getElementXPath } from './dom-utils.js';
+import { getAllShadowRoots, getComposedTextContent } from './shadow-dom-utils.js';
+
+// Strategies in order of preference, most stable first
+export const LOCATOR_STRATEGIES = ['id', 'testId', 'role', 'label', 'css', 'xpath', 'shadowPath'];
+
+// Attributes teams use for test hooks
+const TEST_ID_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy'];
+
+// Elements with an implicit ARIA role
+const IMPLICIT_ROLE_SELECTORS = {
+  button: 'button, input[type="button"], input[type="submit"], input[type="reset"], input[type="image"], summary',
+  link: 'a[href], area[href]',
+  checkbox: 'input[type="checkbox"]',
+  radio: 'input[type="radio"]',
+  textbox: 'input:not([type]), input[type="text"], input[type="email"], input[type="tel"], input[type="url"], textarea',
+  searchbox: 'input[type="search"]',
+  spinbutton: 'input[type="number"]',
+  combobox: 'select:not([multiple])',
+  listbox: 'select[multiple]',
+  option: 'option',
+  heading: 'h1, h2, h3, h4, h5, h6',
+  img: 'img[alt]:not([alt=""])'
+};
+
+// Roles whose accessible name comes from their text content
+const NAME_FROM_CONTENT_ROLES = ['button', 'link', 'checkbox', 'radio', 'option', 'heading', 'tab',
+  'menuitem', 'menuitemcheckbox', 'menuitemradio', 'treeitem', 'switch', 'cell', 'row'];
+
+// IDs that look framework-generated (ember123, input-42, UUIDs) change between sessions
+const GENERATED_ID_PATTERN = /\d{3,}|[-_:]\d+$|^[0-9a-f]{8}-[0-9a-f]{4}/i;
+
+/**
+ * Build the ranked locator bundle for an element
+ * @param {Element} element - Target element
+ * @returns {Object[]} Locators ({ strategy, value, matches, unique, rank, ... }), best first
+ */
+export function getElementLocators(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) return [];
+  
+  try {
+    const root = element.getRootNode();
+    const inShadowRoot = typeof ShadowRoot !== 'undefined' && root instanceof ShadowRoot;
+    
+    // Every tree on the page, for strategies that pierce shadow DOM (like Playwright's getByRole)
+    let allRoots = null;
+    const getAllRoots = () => allRoots || (allRoots = [document, ...getAllShadowRoots(document.body)]);
+    
+    const locators = [];
+    const add = (strategy, build) => {
+      try {
+        const locator = build();
+        if (locator) {
+          locators.push({ strategy, ...locator, unique: locator.matches === 1 });
+        }
+      } catch (error) {
+        console.error(`Error building ${strategy} locator:`, error);
+      }
+    };
+    
+    add('id', () => {
+      if (!element.id) return null;
+      return {
+        value: element.id,
+        selector: `#${CSS.escape(element.id)}`,
+        matches: root.querySelectorAll(`[id="${CSS.escape(element.id)}"]`).length,
+        generated: GENERATED_ID_PATTERN.test(element.id),
+        scope: inShadowRoot ? 'shadow' : 'document'
+      };
+    });
+    
+    add('testId', () => {
+      const attribute = TEST_ID_ATTRIBUTES.find(name => element.hasAttribute(name));
+      if (!attribute) return null;
+      const value = element.getAttribute(attribute);
+      const selector = `[${attribute}="${CSS.escape(value)}"]`;
+      return {
+        value,
+        attribute,
+        selector,
+        matches: queryAllRoots(getAllRoots(), selector).length
+      };
+    });
+    
+    add('role', () => {
+      const role = getElementRole(element);
+      const name = getAccessibleName(element, role);
+      if (!role || !name) return null;
+      const candidates = queryAllRoots(getAllRoots(), getRoleSelector(role))
+        .filter(candidate => getElementRole(candidate) === role && getAccessibleName(candidate, role) === name);
+      return { value: { role, name }, matches: candidates.length };
+    });
+    
+    add('label', () => {
+      if (!element.matches('input, select, textarea')) return null;
+      const label = getLabelText(element);
+      if (!label) return null;
+      const candidates = queryAllRoots(getAllRoots(), 'input, select, textarea')
+        .filter(candidate => getLabelText(candidate) === label);
+      return { value: label, matches: candidates.length };
+    });
+    
+    add('css', () => {
+      const selector = getScopedCssPath(element, root);
+      if (!selector) return null;
+      return {
+        value: selector,
+        matches: root.querySelectorAll(selector).length,
+        scope: inShadowRoot ? 'shadow' : 'document'
+      };
+    });
+    
+    // XPath can't cross shadow boundaries, the shadow path covers those elements
+    add('xpath', () => {
+      if (inShadowRoot) return null;
+      const xpath = getElementXPath(element);
+      if (!xpath) return null;
+      const result = document.evaluate(xpath, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+      return { value: xpath, matches: result.snapshotLength };
+    });
+    
+    add('shadowPath', () => {
+      if (!inShadowRoot) return null;
+      const segments = getShadowPath(element);
+      return { value: segments, matches: resolveShadowPath(segments).length };
+    });
+    
+    return rankLocators(locators);
+  } catch (error) {
+    console.error("Error building element locators:", error);
+    return [];
+  }
+}
+
+/**
+ * Order locators: unique before ambiguous, generated IDs after stable ones, then by preference
+ * @param {Object[]} locators - Unranked locators
+ * @returns {Object[]} Locators with a 1-based rank
+ */
+function rankLocators(locators) {
+  const score = locator =>
+    (locator.unique ? 0 : 100) +
+    (locator.generated ? 10 : 0) +
+    LOCATOR_STRATEGIES.indexOf(locator.strategy);
+  
+  return locators
+    .sort((a, b) => score(a) - score(b))
+    .map((locator, index) => ({ ...locator, rank: index + 1 }));
+}
+
+/**
+ * Query a selector in the document and every shadow root
+ * @param {Array<Document|ShadowRoot>} roots - Trees to search
+ * @param {string} selector - CSS selector
+ * @returns {Element[]} Matching elements
+ */
+function queryAllRoots(roots, selector) {
+  return roots.flatMap(root => Array.from(root.querySelectorAll(selector)));
+}
+
+/**
+ * Get an element's explicit or implicit ARIA role
+ * @param {Element} element - Target element
+ * @returns {string} Role or empty string
+ */
+export function getElementRole(element) {
+  const explicitRole = element.getAttribute('role');
+  if (explicitRole) {
+    return explicitRole.trim().split(/\s+/)[0];
+  }
+  
+  return Object.keys(IMPLICIT_ROLE_SELECTORS)
+    .find(role => element.matches(IMPLICIT_ROLE_SELECTORS[role])) || '';
+}
+
+/**
+ * Selector matching every element that can have a role
+ * @param {string} role - ARIA role
+ * @returns {string} CSS selector
+ */
+function getRoleSelector(role) {
+  const implicit = IMPLICIT_ROLE_SELECTORS[role];
+  return implicit ? `[role="${role}"], ${implicit}` : `[role="${role}"]`;
+}
+
+/**
+ * Approximate the accessible name, close enough to match getByRole-style lookups
+ * @param {Element} element - Target element
+ * @param {string} role - The element's role
+ * @returns {string} Whitespace-normalized name
+ */
+export function getAccessibleName(element, role = getElementRole(element)) {
+  const labelledText = getLabelledByText(element);
+  if (labelledText) return labelledText;
+  
+  const ariaLabel = element.getAttribute('aria-label');
+  if (ariaLabel && ariaLabel.trim()) return normalizeText(ariaLabel);
+  
+  if (element.labels && element.labels.length > 0) {
+    return normalizeText(Array.from(element.labels).map(label => label.textContent).join(' '));
+  }
+  
+  if (element.tagName === 'IMG' || (element.tagName === 'INPUT' && element.type === 'image')) {
+    return normalizeText(element.getAttribute('alt') || '');
+  }
+  
+  if (element.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(element.type)) {
+    return normalizeText(element.value || '');
+  }
+  
+  if (NAME_FROM_CONTENT_ROLES.includes(role)) {
+    const root = element.getRootNode();
+    const text = typeof ShadowRoot !== 'undefined' && root instanceof ShadowRoot
+      ? getComposedTextContent(element)
+      : element.textContent;
+    if (text && text.trim()) return normalizeText(text);
+  }
+  
+  return normalizeText(element.getAttribute('title') || element.getAttribute('placeholder') || '');
+}
+
+/**
+ * Label text of a form field: <label>, aria-labelledby or aria-label
+ * @param {Element} element - Form field
+ * @returns {string} Label text or empty string
+ */
+function getLabelText(element) {
+  if (element.labels && element.labels.length > 0) {
+    return normalizeText(Array.from(element.labels).map(label => label.textContent).join(' '));
+  }
+  
+  return getLabelledByText(element) || normalizeText(element.getAttribute('aria-label') || '');
+}
+
+/**
+ * Text of the elements referenced by aria-labelledby, resolved in the element's own tree
+ * @param {Element} element - Target element
+ * @returns {string} Label text or empty string
+ */
+function getLabelledByText(element) {
+  const labelledBy = element.getAttribute('aria-labelledby');
+  if (!labelledBy) return '';
+  
+  const root = element.getRootNode();
+  const scope = root.getElementById ? root : document;
+  return normalizeText(labelledBy.split(/\s+/)
+    .map(id => scope.getElementById(id)?.textContent || '')
+    .join(' '));
+}
+
+/**
+ * Collapse whitespace
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Shortest CSS path that is unique within the element's tree (document or shadow root)
+ * @param {Element} element - Target element
+ * @param {Document|ShadowRoot} root - Tree to resolve the path in
+ * @returns {string} CSS selector
+ */
+function getScopedCssPath(element, root) {
+  let path = '';
+  let current = element;
+  
+  while (current && current.nodeType === Node.ELEMENT_NODE) {
+    let segment;
+    
+    if (current.id && !GENERATED_ID_PATTERN.test(current.id)) {
+      segment = `#${CSS.escape(current.id)}`;
+    } else {
+      segment = current.tagName.toLowerCase();
+      
+      const parent = current.parentElement;
+      if (parent) {
+        const sameTag = Array.from(parent.children).filter(sibling => sibling.tagName === current.tagName);
+        if (sameTag.length > 1) {
+          segment += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+        }
+      }
+    }
+    
+    path = path ? `${segment} > ${path}` : segment;
+    
+    if (root.querySelectorAll(path).length === 1) {
+      break;
+    }
+    
+    // Stop at the top of this tree (document root or shadow root)
+    current = current.parentElement;
+  }
+  
+  return path;
+}
+
+/**
+ * CSS selectors from the outermost shadow host down to the element, one per tree
+ * @param {Element} element - Element inside a shadow root
+ * @returns {string[]} Selector segments
+ */
+export function getShadowPath(element) {
+  const segments = [];
+  let current = element;
+  
+  while (current) {
+    const root = current.getRootNode();
+    segments.unshift(getScopedCssPath(current, root));
+    current = root.host || null;
+  }
+  
+  return segments;
+}
+
+/**
+ * Resolve shadow path segments, following each match into its shadow root
+ * @param {string[]} segments - Selector segments from getShadowPath
+ * @returns {Element[]} Elements matched by the whole path
+ */
+function resolveShadowPath(segments) {
+  let matches = [document];
+  
+  segments.forEach((segment, index) => {
+    matches = matches.flatMap(scope => {
+      const tree = index === 0 ? scope : scope.shadowRoot;
+      return tree ? Array.from(tree.querySelectorAll(segment)) : [];
+    });
+  });
+  
+  return matches;
+}
\ No newline at end of file
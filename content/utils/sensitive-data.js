@@ -17,15 +17,55 @@
 // SotoScribe - Sensitive Data Utilities
 // Functions for detecting and masking sensitive information
 
+import { findElementsInShadowDOM } from './shadow-dom-utils.js';
+import { getTopLevelOffset, probeChildFrames } from './frame-utils.js';
+
+/**
+ * Rules that can trigger masking of a captured value
+ */
+export const MASK_RULES = {
+  PASSWORD_FIELD: 'password_field',
+  SENSITIVE_ATTRIBUTE: 'sensitive_attribute',
+  SENSITIVE_LABEL: 'sensitive_label',
+  PII_VALUE: 'pii_value'
+};
+
+// Human-readable descriptions of the mask rules, shown in the editor
+const MASK_RULE_DESCRIPTIONS = {
+  password_field: 'Password field',
+  sensitive_attribute: 'Field name or attributes mark it as sensitive',
+  sensitive_label: 'Field label marks it as sensitive',
+  pii_value: 'Value looks like personal information'
+};
+
+// Human-readable names for detected PII types
+const PII_TYPE_NAMES = {
+  email: 'email address',
+  creditCard: 'credit card number',
+  ssn: 'social security number',
+  phone: 'phone number',
+  address: 'postal address',
+  name: 'personal name'
+};
+
 /**
  * Check if a field contains sensitive information
  * @param {Element} element - Form field element to check
  * @returns {boolean} Whether the field contains sensitive data
  */
 export function isSensitiveField(element) {
+  return getSensitiveFieldRule(element) !== null;
+}
+
+/**
+ * Determine which mask rule flags a field as sensitive
+ * @param {Element} element - Form field element to check
+ * @returns {string|null} Matching rule from MASK_RULES or null
+ */
+export function getSensitiveFieldRule(element) {
   try {
     // Check the element type
-    if (element.type === 'password') return true;
+    if (element.type === 'password') return MASK_RULES.PASSWORD_FIELD;
     
     // Check element attributes
     const sensitiveAttributes = [
@@ -49,7 +89,7 @@ export function isSensitiveField(element) {
       
       const lowerProp = prop.toLowerCase();
       if (sensitiveAttributes.some(term => lowerProp.includes(term))) {
-        return true;
+        return MASK_RULES.SENSITIVE_ATTRIBUTE;
       }
     }
     
@@ -59,7 +99,7 @@ export function isSensitiveField(element) {
       if (label && label.textContent) {
         const labelText = label.textContent.toLowerCase();
         if (sensitiveAttributes.some(term => labelText.includes(term))) {
-          return true;
+          return MASK_RULES.SENSITIVE_LABEL;
         }
       }
     }
@@ -69,7 +109,7 @@ export function isSensitiveField(element) {
     if (parentLabel && parentLabel.textContent) {
       const labelText = parentLabel.textContent.toLowerCase();
       if (sensitiveAttributes.some(term => labelText.includes(term))) {
-        return true;
+        return MASK_RULES.SENSITIVE_LABEL;
       }
     }
     
@@ -80,38 +120,24 @@ export function isSensitiveField(element) {
       if (label && label.textContent) {
         const labelText = label.textContent.toLowerCase();
         if (sensitiveAttributes.some(term => labelText.includes(term))) {
-          return true;
+          return MASK_RULES.SENSITIVE_LABEL;
         }
       }
     }
     
     // Check for common patterns in the value
     const value = element.value || '';
+    const piiType = detectPIIType(value);
     
-    // Email pattern
-    if (value && value.match(/^[^@\s]+@[^@\s\.]+\.[^@\s]+$/)) {
-      return true;
-    }
-    
-    // Credit card pattern (simplified)
-    if (value && value.match(/^\d{4}[- ]?\d{4}[- ]?\d{4}[- ]?\d{4}$/)) {
-      return true;
-    }
-    
-    // SSN pattern (US)
-    if (value && value.match(/^\d{3}-?\d{2}-?\d{4}$/)) {
-      return true;
+    // Email, credit card, SSN (US) and phone number patterns
+    if (['email', 'creditCard', 'ssn', 'phone'].includes(piiType)) {
+      return MASK_RULES.PII_VALUE;
     }
     
-    // Phone number pattern
-    if (value && value.match(/^(\+\d{1,3}[- ]?)?\(?\d{3}\)?[- ]?\d{3}[- ]?\d{4}$/)) {
-      return true;
-    }
-    
-    return false;
+    return null;
   } catch (error) {
     console.error("Error checking for sensitive field:", error);
-    return false; // Default to not sensitive on error
+    return null; // Default to not sensitive on error
   }
 }
 
@@ -335,4 +361,178 @@ function detectPIIType(value) {
   }
   
   return null;
+}
+
+/**
+ * Run a typed value through the masking pipeline before it leaves the page.
+ * Password fields, fields flagged as sensitive and PII-shaped values are all
+ * masked, and the rule that triggered the mask is returned with the result.
+ * @param {Element} element - Field the value was typed into
+ * @param {string} value - Raw value
+ * @param {Object} elementInfo - Element information for the step (scrubbed in place)
+ * @returns {Object} Masking result: actualValue, maskedValue, isSensitive, maskRule, maskReason
+ */
+export function maskInputValue(element, value, elementInfo = null) {
+  try {
+    let maskRule = getSensitiveFieldRule(element);
+    const piiType = detectPIIType(value);
+    
+    // PII-shaped values are masked even on fields that look harmless
+    if (!maskRule && isPIIValue(value)) {
+      maskRule = MASK_RULES.PII_VALUE;
+    }
+    
+    if (!maskRule) {
+      return {
+        actualValue: value,
+        maskedValue: value,
+        isSensitive: false,
+        maskRule: null,
+        maskReason: null
+      };
+    }
+    
+    // Pick the masked representation for the rule that fired
+    let maskedValue;
+    if (maskRule === MASK_RULES.PASSWORD_FIELD) {
+      maskedValue = '[PASSWORD]';
+    } else if (piiType) {
+      maskedValue = maskPIIValue(value, piiType);
+    } else {
+      maskedValue = '[SENSITIVE DATA]';
+    }
+    
+    // Make sure the raw value doesn't ride along in the element info
+    if (elementInfo) {
+      scrubElementInfo(elementInfo, value, maskedValue);
+    }
+    
+    let maskReason = MASK_RULE_DESCRIPTIONS[maskRule];
+    if (maskRule === MASK_RULES.PII_VALUE && piiType) {
+      maskReason += ` (${PII_TYPE_NAMES[piiType]})`;
+    }
+    
+    return {
+      actualValue: maskedValue,
+      maskedValue,
+      isSensitive: true,
+      maskRule,
+      maskReason
+    };
+  } catch (error) {
+    console.error("Error masking input value:", error);
+    
+    // Fail closed so the raw value never leaves the page
+    return {
+      actualValue: '[MASKED]',
+      maskedValue: '[MASKED]',
+      isSensitive: true,
+      maskRule: null,
+      maskReason: 'Masking failed'
+    };
+  }
+}
+
+/**
+ * Remove occurrences of a raw value from captured element information
+ * @param {Object} elementInfo - Element information (modified in place)
+ * @param {string} value - Raw value to remove
+ * @param {string} maskedValue - Replacement value
+ */
+function scrubElementInfo(elementInfo, value, maskedValue) {
+  if (!value) return;
+  
+  if (elementInfo.attributes && elementInfo.attributes.value !== undefined) {
+    elementInfo.attributes.value = maskedValue;
+  }
+  
+  if (elementInfo.elementName && elementInfo.elementName.includes(value)) {
+    elementInfo.elementName = elementInfo.tagName || 'field';
+  }
+  
+  if (elementInfo.textContent && elementInfo.textContent.includes(value.substring(0, 50))) {
+    elementInfo.textContent = '';
+  }
+}
+
+/**
+ * Collect the viewport rectangles of visible fields holding sensitive data,
+ * so the screenshot pipeline can destroy those pixels before storing the image
+ * @returns {Object[]} Regions in CSS pixels relative to the viewport, with the mask rule that flagged them
+ */
+export function getSensitiveRegions() {
+  const regions = [];
+  
+  try {
+    const selector = 'input, textarea, select, [contenteditable="true"]';
+    const fields = [
+      ...document.querySelectorAll(selector),
+      ...findElementsInShadowDOM(document.body, selector)
+    ];
+    
+    const viewportWidth = window.innerWidth;
+    const viewportHeight = window.innerHeight;
+    const skippedTypes = ['hidden', 'button', 'submit', 'reset', 'checkbox', 'radio', 'image', 'file'];
+    
+    for (const field of new Set(fields)) {
+      // Skip SotoScribe's own UI and fields that never show a value
+      if (field.closest('[data-sotoscribe]')) continue;
+      if (skippedTypes.includes(field.type)) continue;
+      
+      // Skip fields outside the viewport or with no size
+      const rect = field.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) continue;
+      if (rect.bottom < 0 || rect.right < 0 || rect.top > viewportHeight || rect.left > viewportWidth) continue;
+      
+      const styles = window.getComputedStyle(field);
+      if (styles.display === 'none' || styles.visibility === 'hidden' || styles.opacity === '0') continue;
+      
+      // Flag sensitive fields and fields whose value looks like PII
+      const value = field.isContentEditable ? field.innerText : field.value;
+      let rule = getSensitiveFieldRule(field);
+      if (!rule && isPIIValue(value)) {
+        rule = MASK_RULES.PII_VALUE;
+      }
+      
+      if (rule) {
+        regions.push({
+          left: rect.left,
+          top: rect.top,
+          width: rect.width,
+          height: rect.height,
+          rule
+        });
+      }
+    }
+  } catch (error) {
+    console.error("Error collecting sensitive regions:", error);
+  }
+  
+  return regions;
+}
+
+// Region rule for child frames blacked out because SotoScribe doesn't run inside them
+const UNSCANNED_FRAME_RULE = 'unscanned_frame';
+
+/**
+ * Build the redaction payload sent along with a screenshot request.
+ * Regions found inside a frame are translated into top-level viewport space.
+ * @returns {Promise<Object>} Sensitive regions, the top-level viewport size they refer to,
+ *   and how many child frames run SotoScribe (each reports its own regions to the background)
+ */
+export async function getScreenshotRedaction() {
+  const regions = getSensitiveRegions();
+  const [offset, childFrames] = await Promise.all([getTopLevelOffset(), probeChildFrames()]);
+  
+  const frameRegions = childFrames.unansweredRects.map(rect => ({ ...rect, rule: UNSCANNED_FRAME_RULE }));
+  
+  return {
+    regions: [...regions, ...frameRegions].map(region => ({
+      ...region,
+      left: region.left + offset.x,
+      top: region.top + offset.y
+    })),
+    viewport: offset.viewport,
+    scannedFrameCount: childFrames.answeredCount
+  };
 }
\ No newline at end of file
@@ -17,6 +17,11 @@
 // SotoScribe - Shadow DOM Utilities
 // Helper functions for traversing and manipulating Shadow DOM elements
 
+import { ACTIONABLE_SELECTOR, findActionableElement } from './dom-utils.js';
+
+// Custom element names of interactive web components (Lightning, Shoelace, Material, ...)
+const INTERACTIVE_HOST_PATTERN = /-(icon-)?(button|button-icon|button-menu|link|tab|menu-?item|checkbox|radio|switch|toggle|option|chip)$/;
+
 /**
  * Find elements that match a selector within shadow DOM trees
  * @param {Element} root - Root element to start searching from
@@ -132,6 +137,96 @@ export function shadowClosest(element, selector) {
   return null;
 }
 
+/**
+ * Check if a custom element is itself an interactive control, which matters when
+ * its shadow root is closed and the event path stops at the host
+ * @param {Element} element - Element to check
+ * @returns {boolean} Whether the element is an interactive web component host
+ */
+export function isInteractiveHost(element) {
+  const tagName = element.tagName ? element.tagName.toLowerCase() : '';
+  if (!tagName.includes('-')) return false;
+  
+  return INTERACTIVE_HOST_PATTERN.test(tagName) ||
+         (element.hasAttribute('tabindex') && element.tabIndex >= 0);
+}
+
+/**
+ * Find the element the user meant to act on for an event, crossing open shadow
+ * boundaries. At document level event.target is retargeted to the outermost shadow
+ * host, so the composed path is used to see the inner span, icon or button.
+ * @param {Event} event - DOM event
+ * @returns {Element} Nearest interactive element, or the innermost element if none
+ */
+export function findActionableTarget(event) {
+  try {
+    const path = typeof event.composedPath === 'function' ? event.composedPath() : [];
+    
+    if (path.length === 0) {
+      const actionable = shadowClosest(event.target, ACTIONABLE_SELECTOR);
+      return actionable ? findActionableElement(actionable) : event.target;
+    }
+    
+    // The path runs from the innermost node outwards, through slots and shadow hosts
+    for (const node of path) {
+      if (!node || node.nodeType !== Node.ELEMENT_NODE) continue;
+      if (node === document.body || node === document.documentElement) break;
+      
+      if (node.matches(ACTIONABLE_SELECTOR)) {
+        return findActionableElement(node);
+      }
+      
+      if (isInteractiveHost(node)) {
+        return node;
+      }
+    }
+    
+    return path.find(node => node && node.nodeType === Node.ELEMENT_NODE) || event.target;
+  } catch (error) {
+    console.error("Error resolving actionable event target:", error);
+    return event.target;
+  }
+}
+
+/**
+ * Get the rendered text of an element inside a shadow root, including slotted content
+ * (textContent only sees the shadow tree, so slotted button captions are missing)
+ * @param {Element} element - Element in a shadow tree
+ * @returns {string} Whitespace-normalized text
+ */
+export function getComposedTextContent(element) {
+  let text = '';
+  
+  function collect(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      text += node.textContent;
+      return;
+    }
+    
+    if (node.nodeType !== Node.ELEMENT_NODE || node.tagName === 'STYLE' || node.tagName === 'SCRIPT') {
+      return;
+    }
+    
+    if (node.tagName === 'SLOT') {
+      // Fall back to the slot's default content when nothing is assigned
+      const assigned = node.assignedNodes({ flatten: true });
+      (assigned.length > 0 ? assigned : Array.from(node.childNodes)).forEach(collect);
+      return;
+    }
+    
+    Array.from(node.childNodes).forEach(collect);
+  }
+  
+  try {
+    collect(element);
+  } catch (error) {
+    console.error("Error getting composed text content:", error);
+    return element.textContent || '';
+  }
+  
+  return text.replace(/\s+/g, ' ').trim();
+}
+
 /**
  * Find Lightning components within shadow DOM
  * @param {Element} root - Root element to start from
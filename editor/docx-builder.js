@@ -0,0 +1,241 @@
+/*
+ * Copyright [2025] [Antony Soto]
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// SotoScribe - DOCX Builder
+// Writes an Office Open XML word processing document with embedded pictures, entirely in the browser
+
+import { cleanXmlString } from '../shared/utils.js';
+import { ZipWriter } from './zip-writer.js';
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// 1 pixel in English Metric Units, the unit of drawing extents
+const EMU_PER_PIXEL = 9525;
+const EMU_PER_TWIP = 635;
+
+// US Letter with 1 inch margins, in twentieths of a point
+const PAGE_WIDTH = 12240;
+const PAGE_HEIGHT = 15840;
+const PAGE_MARGIN = 1440;
+
+// Largest picture that fits in the text area below a step heading
+const MAX_IMAGE_WIDTH = (PAGE_WIDTH - 2 * PAGE_MARGIN) * EMU_PER_TWIP;
+const MAX_IMAGE_HEIGHT = (PAGE_HEIGHT - 2 * PAGE_MARGIN - 2880) * EMU_PER_TWIP;
+
+const NAMESPACES = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" ' +
+  'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing" ' +
+  'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+  'xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"';
+
+/**
+ * Convert formatted runs to WordprocessingML
+ * @param {Array<Object>} runs - [{ text, bold, italic, code }]
+ * @returns {string} Run elements
+ */
+function runsToXml(runs) {
+  return runs.filter(run => run.text).map(run => {
+    const properties = [
+      run.code ? '<w:rStyle w:val="InlineCode"/>' : '',
+      run.bold ? '<w:b/>' : '',
+      run.italic ? '<w:i/>' : ''
+    ].join('');
+    
+    // Line breaks inside a run become <w:br/>
+    const text = String(run.text).split('\n')
+      .map(line => `<w:t xml:space="preserve">${cleanXmlString(line)}</w:t>`)
+      .join('<w:br/>');
+    
+    return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}${text}</w:r>`;
+  }).join('');
+}
+
+/**
+ * Build a paragraph
+ * @param {string} style - Paragraph style ID, or null for Normal
+ * @param {string} content - Run XML
+ * @param {string} extraProperties - Additional paragraph properties
+ * @returns {string} Paragraph element
+ */
+function paragraph(style, content, extraProperties = '') {
+  const properties = `${style ? `<w:pStyle w:val="${style}"/>` : ''}${extraProperties}`;
+  return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${content}</w:p>`;
+}
+
+/**
+ * Build an inline picture scaled to fit the text area
+ * @param {Object} image - { width, height } in pixels
+ * @param {string} relationshipId - Relationship of the media part
+ * @param {number} id - Unique drawing object ID
+ * @param {string} description - Alternative text
+ * @returns {string} Drawing run
+ */
+function pictureRun(image, relationshipId, id, description) {
+  const scale = Math.min(MAX_IMAGE_WIDTH / (image.width * EMU_PER_PIXEL), MAX_IMAGE_HEIGHT / (image.height * EMU_PER_PIXEL));
+  const cx = Math.round(image.width * EMU_PER_PIXEL * scale);
+  const cy = Math.round(image.height * EMU_PER_PIXEL * scale);
+  const name = `Picture ${id}`;
+  
+  return `<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0">
+<wp:extent cx="${cx}" cy="${cy}"/>
+<wp:docPr id="${id}" name="${name}" descr="${cleanXmlString(description)}"/>
+<wp:cNvGraphicFramePr><a:graphicFrameLocks noChangeAspect="1"/></wp:cNvGraphicFramePr>
+<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:pic>
+<pic:nvPicPr><pic:cNvPr id="${id}" name="${name}"/><pic:cNvPicPr/></pic:nvPicPr>
+<pic:blipFill><a:blip r:embed="${relationshipId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>
+<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom><a:ln w="9525"><a:solidFill><a:srgbClr val="DDDDDD"/></a:solidFill></a:ln></pic:spPr>
+</pic:pic></a:graphicData></a:graphic>
+</wp:inline></w:drawing></w:r>`;
+}
+
+/**
+ * Build a DOCX document
+ * @param {Object} document - Document definition
+ * @param {string} document.title - Title shown on the cover page and in the core properties
+ * @param {Array<string>} document.coverLines - Lines printed below the title on the cover page
+ * @param {Array<Object>} document.blocks - Body content, one of:
+ *   { type: 'step', runs } numbered step heading,
+ *   { type: 'paragraph', runs, style: 'Metadata' | 'ExpectedResult' | null },
+ *   { type: 'image', image: { bytes, width, height, extension }, description }
+ * @returns {Promise<Blob>} Document file
+ */
+export async function buildDocxDocument({ title, coverLines = [], blocks }) {
+  const media = [];
+  const body = [];
+  
+  // Cover page
+  body.push(paragraph('Title', runsToXml([{ text: title }])));
+  coverLines.forEach(line => body.push(paragraph('Subtitle', runsToXml([{ text: line }]))));
+  body.push(paragraph(null, '<w:r><w:br w:type="page"/></w:r>'));
+  
+  blocks.forEach(block => {
+    switch (block.type) {
+      case 'step':
+        body.push(paragraph('StepHeading', runsToXml(block.runs)));
+        break;
+      
+      case 'image': {
+        media.push(block.image);
+        const relationshipId = `rIdImage${media.length}`;
+        body.push(paragraph('Screenshot', pictureRun(block.image, relationshipId, media.length, block.description || '')));
+        break;
+      }
+      
+      default:
+        body.push(paragraph(block.style || null, runsToXml(block.runs)));
+    }
+  });
+  
+  const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${NAMESPACES}>
+<w:body>
+${body.join('\n')}
+<w:sectPr>
+<w:footerReference w:type="default" r:id="rIdFooter"/>
+<w:pgSz w:w="${PAGE_WIDTH}" w:h="${PAGE_HEIGHT}"/>
+<w:pgMar w:top="${PAGE_MARGIN}" w:right="${PAGE_MARGIN}" w:bottom="${PAGE_MARGIN}" w:left="${PAGE_MARGIN}" w:header="720" w:footer="720" w:gutter="0"/>
+<w:titlePg/>
+</w:sectPr>
+</w:body>
+</w:document>`;
+
+  const zip = new ZipWriter();
+  const imageExtensions = new Set(media.map(image => image.extension));
+  
+  zip.addFile('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+${Array.from(imageExtensions).map(extension => `<Default Extension="${extension}" ContentType="${extension === 'png' ? 'image/png' : 'image/jpeg'}"/>`).join('\n')}
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+<Override PartName="/word/footer1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`);
+
+  zip.addFile('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`);
+
+  zip.addFile('docProps/core.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${cleanXmlString(title)}</dc:title>
+<dc:creator>SotoScribe</dc:creator>
+<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created>
+</cp:coreProperties>`);
+
+  zip.addFile('word/_rels/document.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+<Relationship Id="rIdNumbering" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>
+<Relationship Id="rIdFooter" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/footer" Target="footer1.xml"/>
+${media.map((image, i) => `<Relationship Id="rIdImage${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/image${i + 1}.${image.extension}"/>`).join('\n')}
+</Relationships>`);
+
+  zip.addFile('word/document.xml', documentXml);
+  
+  // Step headings are numbered "Step 1", "Step 2", ... by a single-level list
+  zip.addFile('word/numbering.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:abstractNum w:abstractNumId="0">
+<w:multiLevelType w:val="singleLevel"/>
+<w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="decimal"/><w:pStyle w:val="StepHeading"/><w:suff w:val="space"/><w:lvlText w:val="Step %1:"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="0" w:firstLine="0"/></w:pPr></w:lvl>
+</w:abstractNum>
+<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+</w:numbering>`);
+
+  zip.addFile('word/footer1.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:ftr xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:p><w:pPr><w:pStyle w:val="Footer"/></w:pPr><w:r><w:t xml:space="preserve">${cleanXmlString(title)} – Page </w:t></w:r><w:fldSimple w:instr=" PAGE "><w:r><w:t>1</w:t></w:r></w:fldSimple></w:p>
+</w:ftr>`);
+
+  zip.addFile('word/styles.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:szCs w:val="22"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Subtitle"/><w:qFormat/>
+<w:pPr><w:pBdr><w:bottom w:val="single" w:sz="12" w:space="8" w:color="00B3A4"/></w:pBdr><w:spacing w:before="4320" w:after="240"/></w:pPr>
+<w:rPr><w:b/><w:color w:val="333333"/><w:sz w:val="56"/><w:szCs w:val="56"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:qFormat/>
+<w:rPr><w:color w:val="666666"/><w:sz w:val="28"/><w:szCs w:val="28"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="StepHeading"><w:name w:val="Step Heading"/><w:basedOn w:val="Normal"/><w:next w:val="Metadata"/><w:qFormat/>
+<w:pPr><w:keepNext/><w:keepLines/><w:numPr><w:numId w:val="1"/></w:numPr><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="1"/></w:pPr>
+<w:rPr><w:color w:val="00857A"/><w:sz w:val="30"/><w:szCs w:val="30"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Metadata"><w:name w:val="Step Metadata"/><w:basedOn w:val="Normal"/>
+<w:pPr><w:keepNext/><w:spacing w:after="40"/></w:pPr>
+<w:rPr><w:color w:val="666666"/><w:sz w:val="18"/><w:szCs w:val="18"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="ExpectedResult"><w:name w:val="Expected Result"/><w:basedOn w:val="Normal"/>
+<w:pPr><w:keepNext/><w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="00B3A4"/></w:pBdr><w:spacing w:before="120"/><w:ind w:left="200"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Screenshot"><w:name w:val="Screenshot"/><w:basedOn w:val="Normal"/>
+<w:pPr><w:keepLines/><w:spacing w:before="120" w:after="240"/><w:jc w:val="center"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Footer"><w:name w:val="footer"/><w:basedOn w:val="Normal"/>
+<w:pPr><w:jc w:val="center"/></w:pPr><w:rPr><w:color w:val="888888"/><w:sz w:val="16"/><w:szCs w:val="16"/></w:rPr></w:style>
+<w:style w:type="character" w:styleId="InlineCode"><w:name w:val="Inline Code"/>
+<w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:shd w:val="clear" w:color="auto" w:fill="F0F0F0"/></w:rPr></w:style>
+</w:styles>`);
+
+  media.forEach((image, i) => {
+    zip.addFile(`word/media/image${i + 1}.${image.extension}`, image.bytes, { compress: false });
+  });
+  
+  return zip.generate(DOCX_MIME_TYPE);
+}
\ No newline at end of file
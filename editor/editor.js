@@ -18,9 +18,10 @@
 // Handles the post-capture workspace for editing and exporting workflows
 
 // Import shared utilities
-import { formatUrl, markdownToHtml } from '../shared/utils.js';
+import { formatUrl } from '../shared/utils.js';
 import { log, sfLog } from '../shared/logging.js';
 import { config } from '../shared/config.js';
+import { exportToHtml, exportToPlaywright, exportToSelenium, exportToCsv, exportToXlsx, exportToGherkin, exportToDocx, exportToPdf, exportToMarkdown, exportToWalkthrough, exportToGif, exportToWebm, exportToScorm, exportToXapi, exportToConfluence, exportToJson, exportToJsonBundle, importWorkflowFile } from './export-service.js';
 
 // In-memory storage for steps
 let workflowSteps = [];
@@ -32,6 +33,28 @@ let exportModal;
 let imageEditModal;
 let confirmationModal;
 let exportHtmlBtn;
+let exportFormatSelect;
+
+// Export formats offered in the export modal
+const EXPORT_FORMATS = {
+  html: { label: 'HTML Document', buttonText: 'Download HTML', usesScreenshots: true, exporter: exportToHtml },
+  walkthrough: { label: 'Interactive Walkthrough', buttonText: 'Download Walkthrough', usesScreenshots: true, exporter: exportToWalkthrough },
+  scorm: { label: 'SCORM 1.2 Package', buttonText: 'Download SCORM Package', usesScreenshots: true, exporter: exportToScorm },
+  xapi: { label: 'xAPI Package', buttonText: 'Download xAPI Package', usesScreenshots: true, exporter: exportToXapi },
+  pdf: { label: 'PDF Document', buttonText: 'Download PDF', usesScreenshots: false, exporter: exportToPdf },
+  docx: { label: 'Word Document', buttonText: 'Download DOCX', usesScreenshots: true, exporter: exportToDocx },
+  markdown: { label: 'Markdown', buttonText: 'Download ZIP', usesScreenshots: true, exporter: exportToMarkdown },
+  confluence: { label: 'Confluence Page', buttonText: 'Download ZIP', usesScreenshots: true, exporter: exportToConfluence },
+  gif: { label: 'Animated GIF', buttonText: 'Download GIF', usesScreenshots: false, usesStepDuration: true, exporter: exportToGif },
+  webm: { label: 'WebM Video', buttonText: 'Record WebM', usesScreenshots: false, usesStepDuration: true, exporter: exportToWebm },
+  playwright: { label: 'Playwright Test', buttonText: 'Download Playwright Spec', usesScreenshots: false, exporter: exportToPlaywright },
+  selenium: { label: 'Selenium IDE Project', buttonText: 'Download .side Project', usesScreenshots: false, exporter: exportToSelenium },
+  gherkin: { label: 'Gherkin Feature', buttonText: 'Download .feature File', usesScreenshots: false, exporter: exportToGherkin },
+  csv: { label: 'Test Case CSV', buttonText: 'Download CSV', usesScreenshots: false, exporter: exportToCsv },
+  xlsx: { label: 'Test Case Workbook', buttonText: 'Download XLSX', usesScreenshots: false, exporter: exportToXlsx },
+  json: { label: 'Workflow JSON', buttonText: 'Download JSON', usesScreenshots: false, exporter: exportToJson },
+  jsonzip: { label: 'Workflow JSON + assets', buttonText: 'Download ZIP', usesScreenshots: false, exporter: exportToJsonBundle }
+};
 
 // For storing canvas elements and tracking drag functionality
 let canvasElements = [];
@@ -55,11 +78,18 @@ document.addEventListener('DOMContentLoaded', async () => {
   imageEditModal = document.getElementById('imageEditModal');
   confirmationModal = document.getElementById('confirmationModal');
   exportHtmlBtn = document.getElementById('exportHtmlBtn');
+  exportFormatSelect = document.getElementById('exportFormat');
   
   // Add event listeners for export buttons
   exportHtmlBtn.addEventListener('click', () => prepareExport());
   document.getElementById('closeExportBtn').addEventListener('click', closeExportModal);
   document.getElementById('confirmExportBtn').addEventListener('click', downloadExport);
+  exportFormatSelect.addEventListener('change', updateExportFormat);
+  
+  // Import a workflow exported as JSON
+  const importInput = document.getElementById('importWorkflowInput');
+  document.getElementById('importWorkflowBtn').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', importWorkflow);
   
   // Image editing modal buttons
   document.getElementById('cancelImageEditBtn').addEventListener('click', closeImageEditModal);
@@ -139,6 +169,27 @@ async function loadSteps() {
   });
 }
 
+// Replace the steps with a workflow imported from a JSON or JSON + assets export
+async function importWorkflow(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+  
+  if (workflowSteps.length > 0 && !confirm('Replace the current steps with the imported workflow?')) {
+    return;
+  }
+  
+  try {
+    const { metadata, steps } = await importWorkflowFile(file);
+    workflowSteps = steps;
+    renderSteps();
+    log(`Imported "${metadata.title}" with ${steps.length} steps`);
+  } catch (error) {
+    console.error("Error importing workflow:", error);
+    alert(`Could not import the workflow: ${error.message}`);
+  }
+}
+
 // Render all steps in the editor
 function renderSteps() {
   // Clear the container
@@ -176,11 +227,22 @@ function createStepElement(step, index) {
     stepElement.classList.add('salesforce-step');
   }
   
+  const isTabSwitch = step.type === 'tab_switch';
+  if (isTabSwitch) {
+    stepElement.classList.add('tab-switch-step');
+  }
+  
+  // Label the tab when the workflow spans more than one tab or window
+  const usesMultipleTabs = new Set(workflowSteps.map(s => s.tabId).filter(id => id !== undefined)).size > 1;
+  const tabLabel = step.isPopup ? 'Popup window' : `Tab ${step.tabIndex}`;
+  const tabBadge = (isTabSwitch || (usesMultipleTabs && step.tabIndex)) ? ` <span class="tab-badge">${tabLabel}</span>` : '';
+  const manualBadge = step.type === 'manual' ? ' <span class="manual-badge">Snapshot</span>' : '';
+  
   // Create step header
   const header = document.createElement('div');
   header.className = 'step-header';
   header.innerHTML = `
-    <div class="step-number">Step ${index + 1}${step.salesforceMetadata ? ' <span class="salesforce-badge">Salesforce</span>' : ''}</div>
+    <div class="step-number">Step ${index + 1}${step.salesforceMetadata ? ' <span class="salesforce-badge">Salesforce</span>' : ''}${tabBadge}${manualBadge}</div>
     <div class="step-buttons">
       ${index > 0 ? '<button class="step-button move-up" title="Move Up">↑</button>' : ''}
       ${index < workflowSteps.length - 1 ? '<button class="step-button move-down" title="Move Down">↓</button>' : ''}
@@ -203,6 +265,12 @@ function createStepElement(step, index) {
         <button class="step-button edit-image" title="Edit Image">✏️</button>
       </div>
     `;
+  } else if (isTabSwitch) {
+    imageSection.innerHTML = `
+      <div class="tab-switch-card">
+        <p>↗ Continue in ${step.isPopup ? 'the popup window' : `tab ${step.tabIndex}`}</p>
+      </div>
+    `;
   } else {
     imageSection.innerHTML = `
       <div style="padding: 50px; text-align: center; background-color: #f5f5f5; border-radius: 3px;">
@@ -226,10 +294,31 @@ function createStepElement(step, index) {
     workflowSteps[index].instruction = instructionTextarea.value;
   });
   
+  // Create editable expected result (used by the test case exports)
+  const expectedResultTextarea = document.createElement('textarea');
+  expectedResultTextarea.className = 'step-expected-result';
+  expectedResultTextarea.value = step.expectedResult || '';
+  expectedResultTextarea.placeholder = 'Expected result (optional)...';
+  
+  expectedResultTextarea.addEventListener('change', () => {
+    workflowSteps[index].expectedResult = expectedResultTextarea.value.trim();
+  });
+  
+  // Let the step be marked as a check rather than an action (Then steps in Gherkin)
+  const verificationOption = document.createElement('label');
+  verificationOption.className = 'step-verification';
+  verificationOption.innerHTML = '<input type="checkbox"> Verification step';
+  
+  const verificationCheckbox = verificationOption.querySelector('input');
+  verificationCheckbox.checked = step.isVerification === true;
+  verificationCheckbox.addEventListener('change', () => {
+    workflowSteps[index].isVerification = verificationCheckbox.checked;
+  });
+  
   // Add metadata
   const metadata = document.createElement('div');
   metadata.className = 'step-metadata';
-  metadata.innerHTML = `${step.title || 'Untitled Page'} (${formatUrl(step.url || '')})`;
+  metadata.textContent = `${step.title || 'Untitled Page'} (${formatUrl(step.url || '')})`;
   
   // Add capture method if available (for Salesforce diagnostics)
   if (step.salesforceMetadata && step.salesforceMetadata.captureMethod) {
@@ -254,8 +343,20 @@ function createStepElement(step, index) {
     metadata.appendChild(captureInfo);
   }
   
+  // Show which rule masked the typed value, if any
+  if (step.isSensitive) {
+    const maskInfo = document.createElement('div');
+    maskInfo.className = 'mask-rule';
+    maskInfo.textContent = `Value masked: ${step.maskReason || 'Sensitive field'}`;
+    maskInfo.title = step.maskRule ? `Mask rule: ${step.maskRule}` : 'Mask rule unknown';
+    
+    metadata.appendChild(maskInfo);
+  }
+  
   // Assemble the details section
   detailsSection.appendChild(instructionTextarea);
+  detailsSection.appendChild(expectedResultTextarea);
+  detailsSection.appendChild(verificationOption);
   detailsSection.appendChild(metadata);
   
   // Assemble the content
@@ -333,6 +434,7 @@ function openImageEditor(index) {
   
   // Reset canvas elements array
   canvasElements = [];
+  blurRegions = [];
   
   // Set up canvas
   const canvasContainer = document.getElementById('imageEditCanvas');
@@ -607,6 +709,12 @@ function saveZoomedImage() {
     
     // Update the screenshot in the steps data
     workflowSteps[currentStepBeingEdited].screenshot = croppedDataUrl;
+    recordImageEdits(workflowSteps[currentStepBeingEdited], {
+      x: sourceX,
+      y: sourceY,
+      width: sourceWidth,
+      height: sourceHeight
+    });
     
     log(`Saved zoomed portion of image for step ${currentStepBeingEdited + 1}`);
     
@@ -625,6 +733,9 @@ function saveZoomedImage() {
 // Track if we're currently in blur mode
 let isBlurring = false;
 
+// Blurred areas of the image being edited, one rectangle per stroke
+let blurRegions = [];
+
 // Set image edit tool
 function setImageEditTool(tool) {
   const canvas = document.getElementById('editCanvas');
@@ -657,6 +768,7 @@ function startBlurring(event) {
   if (isDragging) return;
   
   isBlurring = true;
+  blurRegions.push(null);
   // Apply initial blur at the clicked position
   applyBlur(event);
 }
@@ -734,6 +846,21 @@ function applyBlur(event) {
   
   // Put the modified data back
   ctx.putImageData(imageData, x - size/2, y - size/2);
+  
+  // Grow the current stroke's rectangle to cover this area
+  const left = Math.round(x - size/2);
+  const top = Math.round(y - size/2);
+  const region = blurRegions[blurRegions.length - 1];
+  if (region) {
+    const right = Math.max(region.x + region.width, left + size);
+    const bottom = Math.max(region.y + region.height, top + size);
+    region.x = Math.min(region.x, left);
+    region.y = Math.min(region.y, top);
+    region.width = right - region.x;
+    region.height = bottom - region.y;
+  } else {
+    blurRegions[blurRegions.length - 1] = { x: left, y: top, width: size, height: size };
+  }
 }
 
 // Handle annotate tool
@@ -820,6 +947,7 @@ function resetImage() {
   
   // Clear canvas elements
   canvasElements = [];
+  blurRegions = [];
   
   // Reload the image
   const canvas = document.getElementById('editCanvas');
@@ -842,6 +970,7 @@ function saveImageEdit() {
   
   // Update the screenshot in the steps data
   workflowSteps[currentStepBeingEdited].screenshot = canvas.toDataURL('image/png');
+  recordImageEdits(workflowSteps[currentStepBeingEdited]);
   
   // Close modal
   closeImageEditModal();
@@ -850,6 +979,60 @@ function saveImageEdit() {
   renderSteps();
 }
 
+// Log the annotations and blurred areas baked into a saved image, in its pixel space.
+// A crop moves earlier records along with the image and drops the ones cut off.
+function recordImageEdits(step, crop = null) {
+  const timestamp = Date.now();
+  
+  let annotations = [
+    ...(step.annotations || []),
+    ...canvasElements.map(element => ({
+      type: element.type,
+      x: Math.round(element.x),
+      y: Math.round(element.y),
+      radius: element.radius,
+      ...(element.text !== undefined && { text: element.text }),
+      timestamp
+    }))
+  ];
+  
+  let redactions = [
+    ...(step.redactions || []),
+    ...blurRegions.filter(Boolean).map(region => ({
+      source: 'editor',
+      method: 'blur',
+      rule: null,
+      ...region,
+      timestamp
+    }))
+  ];
+  
+  if (crop) {
+    const cropX = Math.round(crop.x);
+    const cropY = Math.round(crop.y);
+    const cropRight = cropX + Math.round(crop.width);
+    const cropBottom = cropY + Math.round(crop.height);
+    
+    annotations = annotations
+      .filter(annotation => annotation.x >= cropX && annotation.x <= cropRight &&
+        annotation.y >= cropY && annotation.y <= cropBottom)
+      .map(annotation => ({ ...annotation, x: annotation.x - cropX, y: annotation.y - cropY }));
+    
+    redactions = redactions
+      .map(redaction => {
+        const left = Math.max(redaction.x, cropX);
+        const top = Math.max(redaction.y, cropY);
+        const right = Math.min(redaction.x + redaction.width, cropRight);
+        const bottom = Math.min(redaction.y + redaction.height, cropBottom);
+        return { ...redaction, x: left - cropX, y: top - cropY, width: right - left, height: bottom - top };
+      })
+      .filter(redaction => redaction.width > 0 && redaction.height > 0);
+  }
+  
+  step.annotations = annotations;
+  step.redactions = redactions;
+}
+
 // Close image edit modal
 function closeImageEditModal() {
   imageEditModal.style.display = 'none';
@@ -876,7 +1059,7 @@ function prepareExport() {
     <div style="margin: 15px 0;">
       <p><strong>Workflow with ${workflowSteps.length} steps</strong></p>
       <p>Created on ${new Date().toLocaleDateString()}</p>
-      <p>Export format: HTML Document</p>
+      <p>Export format: <span id="exportFormatName"></span></p>
     </div>
     <div style="max-height: 300px; overflow-y: auto; border: 1px solid #eee; padding: 10px;">
       ${workflowSteps.map((step, index) => `
@@ -886,171 +1069,53 @@ function prepareExport() {
       `).join('')}
     </div>
   `;
+  
+  updateExportFormat();
 }
 
-// Close export modal
-function closeExportModal() {
-  exportModal.style.display = 'none';
+// Get the export format selected in the modal
+function getSelectedExportFormat() {
+  return EXPORT_FORMATS[exportFormatSelect.value] || EXPORT_FORMATS.html;
 }
 
-// Generate HTML document with workflow
-function generateHtml() {
-  // Create HTML content
-  let htmlContent = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>SotoScribe Workflow Documentation</title>
-  <style>
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif;
-      max-width: 900px;
-      margin: 0 auto;
-      padding: 20px;
-      color: #333;
-      line-height: 1.5;
-    }
-    header {
-      text-align: center;
-      margin-bottom: 30px;
-      padding-bottom: 20px;
-      border-bottom: 1px solid #eee;
-    }
-    h1 {
-      color: #00635A;
-      margin-bottom: 10px;
-    }
-    .creation-date {
-      color: #666;
-      font-style: italic;
-    }
-    .step {
-      margin-bottom: 40px;
-      padding-bottom: 30px;
-      border-bottom: 1px solid #eee;
-    }
-    .step:last-child {
-      border-bottom: none;
-    }
-    .step-header {
-      display: flex;
-      align-items: center;
-      margin-bottom: 15px;
-    }
-    .step-number {
-      background-color: #00B3A4;
-      color: white;
-      font-weight: bold;
-      padding: 5px 10px;
-      border-radius: 20px;
-      margin-right: 10px;
-    }
-    .salesforce-step .step-number {
-      background-color: #00A1E0; /* Salesforce blue */
-    }
-    .step-instruction {
-      font-size: 18px;
-      margin-bottom: 15px;
-    }
-    .step-metadata {
-      font-size: 14px;
-      color: #666;
-      margin-bottom: 15px;
-    }
-    .step-screenshot {
-      max-width: 100%;
-      height: auto;
-      border: 1px solid #ddd;
-      border-radius: 4px;
-    }
-    footer {
-      margin-top: 40px;
-      text-align: center;
-      color: #666;
-      font-size: 14px;
-    }
-  </style>
-</head>
-<body>
-  <header>
-    <h1>SotoScribe Workflow Documentation</h1>
-    <p class="creation-date">Created on ${new Date().toLocaleDateString()}</p>
-  </header>
-  
-  <main>
-`;
-
-  // Add each step
-  workflowSteps.forEach((step, index) => {
-    const isSalesforceStep = step.salesforceMetadata || step.source === 'salesforce';
-    
-    // Convert markdown to HTML for instructions
-    const instructionHtml = step.instruction ? 
-      markdownToHtml(step.instruction) : 
-      'No instruction';
-    
-    htmlContent += `
-    <div class="step ${isSalesforceStep ? 'salesforce-step' : ''}">
-      <div class="step-header">
-        <div class="step-number">${index + 1}</div>
-        <h2>${instructionHtml}</h2>
-      </div>
-      
-      <div class="step-metadata">
-        <p><strong>Page:</strong> ${step.title || 'Untitled Page'}</p>
-        <p><strong>URL:</strong> ${step.url || 'Unknown URL'}</p>
-      </div>
-      
-      ${step.screenshot ? `<img class="step-screenshot" src="${step.screenshot}" alt="Step ${index + 1} screenshot">` : '<p>[No screenshot available]</p>'}
-    </div>
-  `;
-  });
-
-  // Close HTML structure
-  htmlContent += `
-  </main>
-  
-  <footer>
-    <p>Generated with SotoScribe - Workflow Documentation Tool</p>
-  </footer>
-</body>
-</html>`;
+// Reflect the selected format in the modal
+function updateExportFormat() {
+  const format = getSelectedExportFormat();
+  
+  const formatName = document.getElementById('exportFormatName');
+  if (formatName) {
+    formatName.textContent = format.label;
+  }
+  
+  document.getElementById('confirmExportBtn').textContent = format.buttonText;
+  document.getElementById('compressImagesOption').style.display = format.usesScreenshots ? 'flex' : 'none';
+  document.getElementById('stepDurationOption').style.display = format.usesStepDuration ? 'flex' : 'none';
+}
 
-  return htmlContent;
+// Close export modal
+function closeExportModal() {
+  exportModal.style.display = 'none';
 }
 
-// Download export (HTML)
+// Download export in the selected format
 async function downloadExport() {
+  const format = getSelectedExportFormat();
+  
   // Change button text to show progress
   const downloadBtn = document.getElementById('confirmExportBtn');
   const originalText = downloadBtn.textContent;
   
   // Add loading spinner
-  downloadBtn.innerHTML = '<span class="loader"></span>Generating HTML...';
+  downloadBtn.innerHTML = `<span class="loader"></span>Generating ${format.label}...`;
   downloadBtn.disabled = true;
   
   try {
-    // Generate HTML content
-    const htmlContent = generateHtml();
-    
-    // Create a blob with the HTML content
-    const blob = new Blob([htmlContent], { type: 'text/html' });
-    
-    // Create a download link
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `workflow-${Date.now()}.html`;
-    document.body.appendChild(a);
-    a.click();
-    
-    // Clean up
-    setTimeout(() => {
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-    }, 100);
+    const compressImages = document.getElementById('compressImages').checked;
+    const stepSeconds = Math.min(30, Math.max(0.5, Number(document.getElementById('stepDuration').value) || 3));
+    const success = await format.exporter(workflowSteps, { compressImages, stepDuration: stepSeconds * 1000 });
+    if (!success) {
+      throw new Error(`${format.label} export failed`);
+    }
     
     // Clear data after export
     try {
@@ -1064,13 +1129,13 @@ async function downloadExport() {
     closeExportModal();
     
     // Show success message
-    alert(`Workflow exported successfully as HTML. All temporary data has been cleared.`);
+    alert(`Workflow exported successfully as ${format.label}. All temporary data has been cleared.`);
     
     // Close the editor tab
     window.close();
   } catch (error) {
-    console.error(`Error during HTML export:`, error);
-    alert(`Error generating HTML: ${error.message}`);
+    console.error(`Error during ${format.label} export:`, error);
+    alert(`Error generating ${format.label}: ${error.message}`);
   } finally {
     // Reset button
     downloadBtn.innerHTML = originalText;
@@ -17,9 +17,17 @@
 // SotoScribe - Export Service
 // Handles HTML generation and document export
 
-import { formatUrl, markdownToHtml, getBase64Size, compressScreenshot } from '../shared/utils.js';
+import { formatUrl, markdownToHtml, markdownToPlainText, parseInlineMarkdown, getBase64Size, compressScreenshot, cleanXmlString, generateUniqueId, blobToDataUrl } from '../shared/utils.js';
 import { log, sfLog } from '../shared/logging.js';
 import { config } from '../shared/config.js';
+import { WORKFLOW_SCHEMA, WORKFLOW_SCHEMA_VERSION, createWorkflowDocument, validateWorkflowDocument, migrateWorkflowDocument, getWorkflowSteps } from '../shared/workflow-schema.js';
+import { buildXlsxWorkbook } from './xlsx-builder.js';
+import { buildDocxDocument } from './docx-builder.js';
+import { buildPdfDocument } from './pdf-builder.js';
+import { ZipWriter } from './zip-writer.js';
+import { readZip } from './zip-reader.js';
+import { renderWorkflowGif, renderWorkflowWebm } from './workflow-animation.js';
+import { LMS_STANDARDS, getLmsTrackingScript, buildLmsPackage } from './lms-package.js';
 
 /**
  * Generate HTML preview content
@@ -124,6 +132,12 @@ export async function generateHtml(steps, compressImages = true) {
       font-size: 18px;
       margin-bottom: 15px;
     }
+    .step-expected-result {
+      font-size: 15px;
+      border-left: 3px solid #00B3A4;
+      padding-left: 10px;
+      margin-bottom: 15px;
+    }
     .step-metadata {
       font-size: 14px;
       color: #666;
@@ -154,6 +168,9 @@ export async function generateHtml(steps, compressImages = true) {
       background-color: #00A1E0;
       color: white;
     }
+    .tab-switch-step .step-number {
+      background-color: #5C6BC0;
+    }
   </style>
 </head>
 <body>
@@ -169,6 +186,7 @@ export async function generateHtml(steps, compressImages = true) {
   for (let i = 0; i < steps.length; i++) {
     const step = steps[i];
     const isSalesforceStep = step.salesforceMetadata || step.source === 'salesforce';
+    const isTabSwitch = step.type === 'tab_switch';
     
     // Convert markdown to HTML for instructions
     const instructionHtml = step.instruction ? 
@@ -176,20 +194,23 @@ export async function generateHtml(steps, compressImages = true) {
       'No instruction';
     
     htmlContent += `
-    <div class="step ${isSalesforceStep ? 'salesforce-step' : ''}">
+    <div class="step ${isSalesforceStep ? 'salesforce-step' : ''} ${isTabSwitch ? 'tab-switch-step' : ''}">
       <div class="step-header">
         <div class="step-number">${i + 1}</div>
         <h2>${instructionHtml}</h2>
         ${isSalesforceStep ? '<span class="tag salesforce-tag">Salesforce</span>' : ''}
+        ${isTabSwitch ? `<span class="tag">${step.isPopup ? 'Popup window' : `Tab ${step.tabIndex || ''}`}</span>` : ''}
       </div>
       
+      ${step.expectedResult ? `<p class="step-expected-result"><strong>Expected result:</strong> ${markdownToHtml(step.expectedResult)}</p>` : ''}
+      
       <div class="step-metadata">
-        <p><strong>Page:</strong> ${step.title || 'Untitled Page'}</p>
-        <p><strong>URL:</strong> ${step.url || 'Unknown URL'}</p>
+        <p><strong>Page:</strong> ${cleanXmlString(step.title) || 'Untitled Page'}</p>
+        <p><strong>URL:</strong> ${cleanXmlString(step.url) || 'Unknown URL'}</p>
         ${step.timestamp ? `<p><strong>Time:</strong> ${new Date(step.timestamp).toLocaleTimeString()}</p>` : ''}
       </div>
       
-      ${await processScreenshot(step.screenshot, compressImages)}
+      ${isTabSwitch ? '' : await processScreenshot(step.screenshot, compressImages)}
     </div>
   `;
   }
@@ -207,6 +228,30 @@ export async function generateHtml(steps, compressImages = true) {
   return htmlContent;
 }
 
+/**
+ * Compress a screenshot for embedding in an HTML file
+ * @param {string} screenshot - Screenshot data URL
+ * @returns {Promise<string>} Compressed data URL, or the original if small or compression fails
+ */
+async function compressEmbeddedScreenshot(screenshot) {
+  const originalSize = getBase64Size(screenshot);
+  
+  // Only compress if larger than 100KB
+  if (originalSize <= 102400) {
+    return screenshot;
+  }
+  
+  try {
+    const imageData = await compressScreenshot(screenshot, 80);
+    const newSize = getBase64Size(imageData);
+    log(`Compressed image from ${Math.round(originalSize/1024)}KB to ${Math.round(newSize/1024)}KB`);
+    return imageData;
+  } catch (compressionError) {
+    console.error("Error compressing screenshot, using original:", compressionError);
+    return screenshot;
+  }
+}
+
 /**
  * Process screenshot for HTML export
  * @param {string} screenshot - Screenshot data URL
@@ -219,22 +264,7 @@ async function processScreenshot(screenshot, compress) {
   }
   
   try {
-    let imageData = screenshot;
-    
-    // Compress the image if needed
-    if (compress) {
-      const originalSize = getBase64Size(screenshot);
-      // Only compress if larger than 100KB
-      if (originalSize > 102400) {
-        try {
-          imageData = await compressScreenshot(screenshot, 80);
-          const newSize = getBase64Size(imageData);
-          log(`Compressed image from ${Math.round(originalSize/1024)}KB to ${Math.round(newSize/1024)}KB`);
-        } catch (compressionError) {
-          console.error("Error compressing screenshot, using original:", compressionError);
-        }
-      }
-    }
+    const imageData = compress ? await compressEmbeddedScreenshot(screenshot) : screenshot;
     
     return `<img class="step-screenshot" src="${imageData}" alt="Step screenshot">`;
   } catch (error) {
@@ -263,34 +293,2116 @@ export async function exportToHtml(steps, options = {}) {
     // Generate HTML content
     const htmlContent = await generateHtml(steps, settings.compressImages);
     
-    // Create a blob with the HTML content
-    const blob = new Blob([htmlContent], { type: 'text/html' });
+    downloadFile(htmlContent, settings.filename, 'text/html');
+    
+    log("HTML export completed successfully");
+    
+    return true;
+  } catch (error) {
+    console.error("Error exporting HTML:", error);
+    return false;
+  }
+}
+
+/**
+ * Get the click point of a step as a percentage of its screenshot
+ * @param {Object} step - Workflow step
+ * @returns {Object|null} { left, top } in percent, or null if the step has no usable click position
+ */
+function getHotspotPosition(step) {
+  const position = step.clickPosition;
+  if (!position || !position.viewportWidth || !position.viewportHeight) {
+    return null;
+  }
+  
+  const clamp = (value) => Math.min(100, Math.max(0, Math.round(value * 10000) / 100));
+  return {
+    left: clamp(position.x / position.viewportWidth),
+    top: clamp(position.y / position.viewportHeight)
+  };
+}
+
+/**
+ * Generate a self-contained click-through walkthrough: one step at a time, with a clickable
+ * hotspot at the recorded click position, keyboard navigation and a progress bar.
+ * The player dispatches a "walkthroughstep" event ({ index, total }) on document for each step shown.
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - { title, compressImages, trackingScript } where trackingScript runs
+ *   before the player starts (used by the LMS packages)
+ * @returns {Promise<string>} HTML document content
+ */
+export async function generateWalkthroughHtml(steps, options = {}) {
+  const title = options.title || 'SotoScribe Workflow Documentation';
+  const compressImages = options.compressImages !== false;
+  const walkthroughSteps = [];
+  
+  log(`Generating walkthrough with ${steps.length} steps${compressImages ? ' (with image compression)' : ''}`);
+  
+  for (const step of steps) {
+    const hasScreenshot = step.type !== 'tab_switch' && step.screenshot;
+    walkthroughSteps.push({
+      // Escaped by markdownToHtml; the player inserts these as markup, every other field as text
+      instruction: step.instruction ? markdownToHtml(step.instruction) : 'No instruction',
+      expectedResult: step.expectedResult ? markdownToHtml(step.expectedResult) : '',
+      title: step.title || 'Untitled Page',
+      url: step.url || '',
+      screenshot: hasScreenshot ? (compressImages ? await compressEmbeddedScreenshot(step.screenshot) : step.screenshot) : null,
+      hotspot: hasScreenshot ? getHotspotPosition(step) : null
+    });
+  }
+  
+  // Keep "</script>" in step data from closing the data block
+  const stepsJson = JSON.stringify(walkthroughSteps).replace(/</g, '\\u003c');
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${cleanXmlString(title)}</title>
+  <style>
+    * {
+      box-sizing: border-box;
+    }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif;
+      margin: 0;
+      color: #333;
+      background-color: #f5f5f5;
+      line-height: 1.5;
+    }
+    header {
+      background-color: white;
+      border-bottom: 1px solid #eee;
+      padding: 12px 20px 0;
+    }
+    h1 {
+      color: #00635A;
+      font-size: 20px;
+      margin: 0 0 8px;
+    }
+    .progress {
+      height: 4px;
+      background-color: #e0e0e0;
+      margin: 0 -20px;
+    }
+    .progress-bar {
+      height: 100%;
+      width: 0;
+      background-color: #00B3A4;
+      transition: width 0.3s;
+    }
+    main {
+      max-width: 1100px;
+      margin: 0 auto;
+      padding: 20px;
+    }
+    .step-header {
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      margin-bottom: 6px;
+    }
+    .step-number {
+      background-color: #00B3A4;
+      color: white;
+      font-weight: bold;
+      padding: 5px 12px;
+      border-radius: 20px;
+      white-space: nowrap;
+    }
+    .step-instruction {
+      font-size: 20px;
+      margin: 0;
+    }
+    .step-expected-result {
+      border-left: 3px solid #00B3A4;
+      padding-left: 10px;
+      margin: 8px 0 0;
+    }
+    .step-metadata {
+      font-size: 13px;
+      color: #666;
+      margin: 6px 0 15px;
+      overflow-wrap: anywhere;
+    }
+    .stage {
+      position: relative;
+      display: inline-block;
+      max-width: 100%;
+      border: 1px solid #ddd;
+      border-radius: 4px;
+      overflow: hidden;
+      background-color: white;
+    }
+    .stage img {
+      display: block;
+      max-width: 100%;
+      height: auto;
+    }
+    .hotspot {
+      position: absolute;
+      width: 44px;
+      height: 44px;
+      margin: -22px 0 0 -22px;
+      border: 3px solid #FF5722;
+      border-radius: 50%;
+      background-color: rgba(255, 87, 34, 0.2);
+      cursor: pointer;
+      padding: 0;
+      animation: pulse 1.5s ease-out infinite;
+    }
+    .hotspot:focus-visible {
+      outline: 3px solid #00635A;
+      outline-offset: 2px;
+    }
+    @keyframes pulse {
+      0% { box-shadow: 0 0 0 0 rgba(255, 87, 34, 0.6); }
+      100% { box-shadow: 0 0 0 18px rgba(255, 87, 34, 0); }
+    }
+    .no-screenshot {
+      padding: 50px;
+      text-align: center;
+      background-color: white;
+      border: 1px solid #ddd;
+      border-radius: 4px;
+      color: #666;
+    }
+    .controls {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      margin-top: 15px;
+    }
+    .controls button {
+      background-color: #00B3A4;
+      color: white;
+      border: none;
+      border-radius: 3px;
+      padding: 10px 20px;
+      font-size: 15px;
+      cursor: pointer;
+    }
+    .controls button:disabled {
+      background-color: #ccc;
+      cursor: default;
+    }
+    .hint {
+      font-size: 13px;
+      color: #666;
+    }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${cleanXmlString(title)}</h1>
+    <div class="progress" role="progressbar" aria-valuemin="1" aria-valuemax="${walkthroughSteps.length}">
+      <div class="progress-bar" id="progressBar"></div>
+    </div>
+  </header>
+  
+  <main>
+    <div class="step-header">
+      <span class="step-number" id="stepNumber"></span>
+      <h2 class="step-instruction" id="stepInstruction" aria-live="polite"></h2>
+    </div>
+    <div id="stepExpectedResult"></div>
+    <div class="step-metadata" id="stepMetadata"></div>
+    <div id="stepView"></div>
+    
+    <div class="controls">
+      <button id="backBtn">&larr; Back</button>
+      <span class="hint">Click the highlighted area or use the arrow keys</span>
+      <button id="nextBtn">Next &rarr;</button>
+    </div>
+  </main>
+  
+  <script type="application/json" id="walkthroughData">${stepsJson}</script>
+  ${options.trackingScript ? `<script>
+${options.trackingScript}
+  </script>` : ''}
+  <script>
+    (function() {
+      var steps = JSON.parse(document.getElementById('walkthroughData').textContent);
+      var current = 0;
+      
+      function text(value) {
+        var element = document.createElement('span');
+        element.textContent = value;
+        return element.innerHTML;
+      }
+      
+      function show(index) {
+        if (steps.length === 0) return;
+        current = Math.max(0, Math.min(steps.length - 1, index));
+        var step = steps[current];
+        var isLast = current === steps.length - 1;
+        
+        document.getElementById('stepNumber').textContent = 'Step ' + (current + 1) + ' of ' + steps.length;
+        document.getElementById('stepInstruction').innerHTML = step.instruction;
+        document.getElementById('stepExpectedResult').innerHTML = step.expectedResult
+          ? '<p class="step-expected-result"><strong>Expected result:</strong> ' + step.expectedResult + '</p>'
+          : '';
+        document.getElementById('stepMetadata').innerHTML = '<strong>Page:</strong> ' + text(step.title) +
+          (step.url ? ' &middot; ' + text(step.url) : '');
+        
+        var view = document.getElementById('stepView');
+        if (step.screenshot) {
+          view.innerHTML = '<div class="stage"><img alt="Step ' + (current + 1) + ' screenshot"></div>';
+          view.querySelector('img').src = step.screenshot;
+          if (step.hotspot) {
+            var hotspot = document.createElement('button');
+            hotspot.className = 'hotspot';
+            hotspot.style.left = step.hotspot.left + '%';
+            hotspot.style.top = step.hotspot.top + '%';
+            hotspot.setAttribute('aria-label', isLast ? 'Finish' : 'Go to the next step');
+            hotspot.addEventListener('click', function() { show(current + 1); });
+            view.querySelector('.stage').appendChild(hotspot);
+          }
+        } else {
+          view.innerHTML = '<div class="no-screenshot">No screenshot for this step</div>';
+        }
+        
+        document.getElementById('progressBar').style.width = ((current + 1) / steps.length * 100) + '%';
+        document.querySelector('.progress').setAttribute('aria-valuenow', current + 1);
+        document.getElementById('backBtn').disabled = current === 0;
+        document.getElementById('nextBtn').disabled = isLast;
+        
+        if (history.replaceState) {
+          history.replaceState(null, '', '#step-' + (current + 1));
+        }
+        
+        document.dispatchEvent(new CustomEvent('walkthroughstep', { detail: { index: current, total: steps.length } }));
+      }
+      
+      document.getElementById('backBtn').addEventListener('click', function() { show(current - 1); });
+      document.getElementById('nextBtn').addEventListener('click', function() { show(current + 1); });
+      
+      document.addEventListener('keydown', function(event) {
+        if (event.altKey || event.ctrlKey || event.metaKey) return;
+        if (event.key === 'ArrowRight' || event.key === 'PageDown' || (event.key === ' ' && event.target === document.body)) {
+          event.preventDefault();
+          show(current + 1);
+        } else if (event.key === 'ArrowLeft' || event.key === 'PageUp') {
+          event.preventDefault();
+          show(current - 1);
+        } else if (event.key === 'Home') {
+          show(0);
+        } else if (event.key === 'End') {
+          show(steps.length - 1);
+        }
+      });
+      
+      var match = /^#step-(\\d+)$/.exec(location.hash);
+      show(match ? Number(match[1]) - 1 : 0);
+    })();
+  </script>
+</body>
+</html>`;
+}
+
+/**
+ * Export workflow as an interactive click-through HTML file
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - Export options
+ * @returns {Promise<boolean>} Success status
+ */
+export async function exportToWalkthrough(steps, options = {}) {
+  const settings = {
+    filename: `workflow-walkthrough-${Date.now()}.html`,
+    compressImages: true,
+    ...options
+  };
+  
+  try {
+    log("Starting walkthrough export process");
+    
+    const htmlContent = await generateWalkthroughHtml(steps, settings);
+    downloadFile(htmlContent, settings.filename, 'text/html');
+    
+    log("Walkthrough export completed successfully");
+    
+    return true;
+  } catch (error) {
+    console.error("Error exporting walkthrough:", error);
+    return false;
+  }
+}
+
+/**
+ * Generate an LMS package that wraps the interactive walkthrough
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - { title, compressImages, standard: 'scorm12' | 'xapi' }
+ * @returns {Promise<Blob>} ZIP package
+ */
+export async function generateLmsPackage(steps, options = {}) {
+  const standard = options.standard === LMS_STANDARDS.xapi ? LMS_STANDARDS.xapi : LMS_STANDARDS.scorm12;
+  const title = options.title || 'SotoScribe Workflow Documentation';
+  const activity = { id: `urn:sotoscribe:workflow:${generateUniqueId()}`, name: title };
+  
+  const launchHtml = await generateWalkthroughHtml(steps, {
+    ...options,
+    title,
+    trackingScript: getLmsTrackingScript(standard, activity)
+  });
+  
+  return buildLmsPackage(standard, {
+    id: activity.id,
+    title,
+    description: `Step-by-step walkthrough with ${steps.length} step${steps.length === 1 ? '' : 's'}`,
+    launchHtml
+  });
+}
+
+/**
+ * Export workflow as a SCORM 1.2 package
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - Export options
+ * @returns {Promise<boolean>} Success status
+ */
+export async function exportToScorm(steps, options = {}) {
+  const settings = {
+    filename: `workflow-scorm-${Date.now()}.zip`,
+    compressImages: true,
+    ...options,
+    standard: LMS_STANDARDS.scorm12
+  };
+  
+  try {
+    log("Starting SCORM export process");
+    
+    const lmsPackage = await generateLmsPackage(steps, settings);
+    downloadFile(lmsPackage, settings.filename, lmsPackage.type);
     
-    // Create a download link
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = settings.filename;
-    document.body.appendChild(a);
+    log("SCORM export completed successfully");
     
-    // Trigger download
-    a.click();
+    return true;
+  } catch (error) {
+    console.error("Error exporting SCORM package:", error);
+    return false;
+  }
+}
+
+/**
+ * Export workflow as an xAPI (Tin Can) package
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - Export options
+ * @returns {Promise<boolean>} Success status
+ */
+export async function exportToXapi(steps, options = {}) {
+  const settings = {
+    filename: `workflow-xapi-${Date.now()}.zip`,
+    compressImages: true,
+    ...options,
+    standard: LMS_STANDARDS.xapi
+  };
+  
+  try {
+    log("Starting xAPI export process");
     
-    // Clean up
-    setTimeout(() => {
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-    }, 100);
+    const lmsPackage = await generateLmsPackage(steps, settings);
+    downloadFile(lmsPackage, settings.filename, lmsPackage.type);
     
-    log("HTML export completed successfully");
+    log("xAPI export completed successfully");
     
     return true;
   } catch (error) {
-    console.error("Error exporting HTML:", error);
+    console.error("Error exporting xAPI package:", error);
     return false;
   }
 }
 
+/**
+ * Generate a print-ready PDF from a workflow
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - { title }
+ * @returns {Promise<Blob>} PDF file
+ */
+export async function generatePdf(steps, options = {}) {
+  const title = options.title || 'SotoScribe Workflow Documentation';
+  const date = new Date().toLocaleDateString();
+  const pdfSteps = [];
+  
+  for (let index = 0; index < steps.length; index++) {
+    const step = steps[index];
+    let image = null;
+    
+    if (step.type !== 'tab_switch' && step.screenshot) {
+      try {
+        // PDF embeds JPEG natively; 1600px keeps text in screenshots legible in print
+        image = await createImageAsset(step.screenshot, { maxWidth: 1600, type: 'image/jpeg', quality: 0.85 });
+      } catch (error) {
+        console.error(`Error embedding screenshot for step ${index + 1}:`, error);
+      }
+    }
+    
+    pdfSteps.push({
+      label: `STEP ${index + 1}`,
+      runs: step.instruction ? parseInlineMarkdown(step.instruction) : [{ text: 'No instruction' }],
+      details: [
+        { label: 'Page', text: step.title || 'Untitled Page' },
+        { label: 'URL', text: step.url || 'Unknown URL' }
+      ],
+      note: step.expectedResult ? [{ text: 'Expected result: ', bold: true }, ...parseInlineMarkdown(step.expectedResult)] : null,
+      image
+    });
+  }
+  
+  return buildPdfDocument({
+    title,
+    subtitle: `${steps.length} step${steps.length === 1 ? '' : 's'} · Created on ${date}`,
+    date,
+    steps: pdfSteps
+  });
+}
+
+/**
+ * Export workflow to PDF file
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - Export options
+ * @returns {Promise<boolean>} Success status
+ */
+export async function exportToPdf(steps, options = {}) {
+  const settings = {
+    filename: `workflow-${Date.now()}.pdf`,
+    ...options
+  };
+  
+  try {
+    log("Starting PDF export process");
+    
+    const pdf = await generatePdf(steps, settings);
+    downloadFile(pdf, settings.filename, 'application/pdf');
+    
+    log("PDF export completed successfully");
+    
+    return true;
+  } catch (error) {
+    console.error("Error exporting PDF:", error);
+    return false;
+  }
+}
+
+/**
+ * Save generated content through a temporary download link
+ * @param {string|Blob|Uint8Array} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type of the content
+ */
+export function downloadFile(content, filename, mimeType) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  
+  // Create a download link
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  
+  // Trigger download
+  a.click();
+  
+  // Clean up
+  setTimeout(() => {
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }, 100);
+}
+
+/**
+ * Check whether a form submit step was caused by the click or key press just before it
+ * @param {Array} steps - Workflow steps
+ * @param {number} index - Index of the form_submit step
+ * @returns {boolean} True if replaying the previous step already submits the form
+ */
+function isSubmittedByPreviousAction(steps, index) {
+  const previousStep = steps[index - 1];
+  return Boolean(previousStep) &&
+    ['click', 'keyboard'].includes(previousStep.type) &&
+    steps[index].timestamp - previousStep.timestamp < 2000;
+}
+
+// Locator strategies in the order Playwright recommends them (user-facing first)
+const PLAYWRIGHT_LOCATOR_PREFERENCE = ['testId', 'role', 'label', 'id', 'css', 'shadowPath', 'xpath'];
+
+/**
+ * Quote a value as a single-quoted JavaScript string literal
+ * @param {string} value - Raw value
+ * @returns {string} String literal
+ */
+function toJsString(value) {
+  return `'${String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n')}'`;
+}
+
+/**
+ * Build a Playwright locator expression from a step's recorded locators
+ * @param {Object} step - Workflow step
+ * @param {string} base - Page or frame expression the locator hangs off
+ * @returns {string|null} Locator expression, or null if the step has no target
+ */
+function getPlaywrightLocator(step, base) {
+  const locators = (step.locators || []).filter(locator =>
+    PLAYWRIGHT_LOCATOR_PREFERENCE.includes(locator.strategy) &&
+    // Shadow-scoped CSS only resolves inside its shadow root; the shadow path covers it
+    locator.scope !== 'shadow' &&
+    !(locator.strategy === 'id' && locator.generated)
+  );
+  
+  const byPreference = (a, b) =>
+    PLAYWRIGHT_LOCATOR_PREFERENCE.indexOf(a.strategy) - PLAYWRIGHT_LOCATOR_PREFERENCE.indexOf(b.strategy);
+  
+  const unique = locators.filter(locator => locator.unique).sort(byPreference);
+  const locator = unique[0] || locators.sort((a, b) => a.rank - b.rank)[0];
+  
+  if (!locator) {
+    // Steps recorded before locators existed: fall back to the element's visible name
+    const elementInfo = step.elementInfo || step.targetElement;
+    if (elementInfo && elementInfo.elementName && elementInfo.elementName !== elementInfo.tagName) {
+      return `${base}.getByText(${toJsString(elementInfo.elementName)}).first()`;
+    }
+    return null;
+  }
+  
+  let expression;
+  switch (locator.strategy) {
+    case 'testId':
+      expression = locator.attribute === 'data-testid'
+        ? `${base}.getByTestId(${toJsString(locator.value)})`
+        : `${base}.locator(${toJsString(locator.selector)})`;
+      break;
+    case 'role':
+      expression = `${base}.getByRole(${toJsString(locator.value.role)}, { name: ${toJsString(locator.value.name)}, exact: true })`;
+      break;
+    case 'label':
+      expression = `${base}.getByLabel(${toJsString(locator.value)}, { exact: true })`;
+      break;
+    case 'id':
+      expression = `${base}.locator(${toJsString(locator.selector)})`;
+      break;
+    case 'shadowPath':
+      // Playwright's CSS engine pierces open shadow roots, so chaining the segments is enough
+      expression = `${base}.locator(${toJsString(locator.value.join(' >> '))})`;
+      break;
+    case 'xpath':
+      expression = `${base}.locator(${toJsString('xpath=' + locator.value)})`;
+      break;
+    default:
+      expression = `${base}.locator(${toJsString(locator.value)})`;
+  }
+  
+  return locator.unique ? expression : `${expression}.first()`;
+}
+
+/**
+ * Build a regular expression literal matching a frame's URL with any query string or hash,
+ * which often carry session tokens or cache-busting parameters that differ at replay
+ * @param {string} url - Recorded frame URL
+ * @returns {string} Regular expression literal
+ */
+function toFrameUrlPattern(url) {
+  let prefix = url;
+  try {
+    const parsed = new URL(url);
+    if (parsed.origin !== 'null') {
+      prefix = parsed.origin + parsed.pathname;
+    }
+  } catch (error) {
+    // Not an absolute URL; match it as recorded
+  }
+  
+  const escaped = prefix.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  return `/^${escaped}(?:[?#]|$)/`;
+}
+
+/**
+ * Convert a recorded shortcut ("Ctrl + Shift + S") to Playwright key syntax ("Control+Shift+S")
+ * @param {string} shortcut - Shortcut from the keyboard step
+ * @returns {string} Playwright key combination
+ */
+function toPlaywrightKeys(shortcut) {
+  const keyNames = { Ctrl: 'Control', Command: 'Meta' };
+  return (shortcut || '')
+    .split(' + ')
+    .map(key => keyNames[key] || key)
+    .join('+');
+}
+
+/**
+ * Collect the masked input values of a workflow as named test parameters
+ * @param {Array} steps - Workflow steps
+ * @returns {Map<Object, Object>} Step to { name, envVar, maskRule }
+ */
+export function getMaskedValueParameters(steps) {
+  const parameters = new Map();
+  const usedNames = new Set();
+  
+  steps.forEach((step, index) => {
+    if (step.type !== 'input' || !step.isSensitive) return;
+    
+    const source = step.elementInfo?.label || step.elementInfo?.elementName || 'value';
+    const words = source.replace(/[^a-zA-Z0-9]+/g, ' ').trim().split(' ').filter(Boolean).slice(0, 4);
+    let name = words.length > 0
+      ? words.map((word, i) => i === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase()).join('')
+      : 'value';
+    if (/^\d/.test(name)) name = `field${name}`;
+    
+    // Keep names unique when several fields share a label
+    if (usedNames.has(name)) {
+      name = `${name}${index + 1}`;
+    }
+    usedNames.add(name);
+    
+    parameters.set(step, {
+      name,
+      envVar: name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase(),
+      // Only the rule: partially masked values ("j***e@example.com") still reveal data
+      maskRule: step.maskRule || 'sensitive'
+    });
+  });
+  
+  return parameters;
+}
+
+/**
+ * Generate a Playwright test spec from a workflow
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - { title } for the test name
+ * @returns {string} Spec file content
+ */
+export function generatePlaywrightSpec(steps, options = {}) {
+  const title = options.title || steps.find(step => step.title)?.title || 'Recorded workflow';
+  const parameters = getMaskedValueParameters(steps);
+  const body = [];
+  const emit = (line = '') => body.push(line ? `  ${line}` : '');
+  
+  // Pages by tab, so multi-tab recordings switch between page objects
+  const firstTabId = steps.find(step => step.tabId !== undefined)?.tabId;
+  const pageVars = new Map([[firstTabId, 'page']]);
+  const navigatedPages = new Set();
+  let currentPage = 'page';
+  let pageCount = 1;
+  let usesFrameUrls = false;
+  
+  // Recordings normally start with a navigate step; otherwise open the first page
+  if (steps.length > 0 && steps[0].type !== 'navigate' && steps[0].url) {
+    emit(`await page.goto(${toJsString(steps[0].url)});`);
+    navigatedPages.add('page');
+    emit();
+  }
+  
+  steps.forEach((step, index) => {
+    const nextStep = steps[index + 1];
+    const opensPage = nextStep && nextStep.type === 'tab_switch' && nextStep.isNewTab && step.type !== 'tab_switch';
+    
+    // Steps inside iframes are located within their frame: through the recorded frame
+    // selectors, or else by waiting for a frame with the recorded URL to attach
+    let base = currentPage;
+    if (step.frameId && step.framePath && step.framePath.length > 0) {
+      base = step.framePath.reduce((frame, selector) => `${frame}.frameLocator(${toJsString(selector)})`, currentPage);
+    } else if (step.frameId && step.frameUrl) {
+      base = `(await waitForFrame(${currentPage}, ${toFrameUrlPattern(step.frameUrl)}))`;
+      usesFrameUrls = true;
+    }
+    const target = getPlaywrightLocator(step, base);
+    const actions = [];
+    
+    emit(`// Step ${index + 1}: ${markdownToPlainText(step.instruction) || step.type}`);
+    
+    switch (step.type) {
+      case 'navigate':
+        if (navigatedPages.has(currentPage)) {
+          // Reached by the previous action; assert we arrived rather than reloading
+          actions.push(`await expect(${currentPage}).toHaveURL(${toJsString(step.url)});`);
+        } else {
+          actions.push(`await ${currentPage}.goto(${toJsString(step.url)});`);
+          navigatedPages.add(currentPage);
+        }
+        break;
+      
+      case 'click': {
+        const elementInfo = step.elementInfo || {};
+        if (!target) {
+          actions.push('// No locator was recorded for this element');
+        } else if (elementInfo.tagName === 'option') {
+          actions.push('// Covered by the selectOption call of the following input step');
+        } else if (elementInfo.tagName === 'input' && elementInfo.controlType === 'checkbox') {
+          actions.push(`await ${target}.${elementInfo.checked ? 'check' : 'uncheck'}();`);
+        } else if (elementInfo.tagName === 'input' && elementInfo.controlType === 'radio') {
+          actions.push(`await ${target}.check();`);
+        } else {
+          actions.push(`await ${target}.click();`);
+        }
+        break;
+      }
+      
+      case 'input': {
+        const elementInfo = step.elementInfo || {};
+        const inputType = elementInfo.attributes?.type;
+        const parameter = parameters.get(step);
+        const value = parameter ? `testData.${parameter.name}` : toJsString(step.actualValue);
+        
+        if (!target) {
+          actions.push('// No locator was recorded for this field');
+        } else if (inputType === 'checkbox' || inputType === 'radio') {
+          actions.push('// Toggled by the previous click');
+        } else if (elementInfo.tagName === 'select') {
+          actions.push(`await ${target}.selectOption(${value});`);
+        } else {
+          actions.push(`await ${target}.fill(${value});`);
+        }
+        break;
+      }
+      
+      case 'keyboard': {
+        const keys = toJsString(toPlaywrightKeys(step.shortcut));
+        actions.push(target ? `await ${target}.press(${keys});` : `await ${currentPage}.keyboard.press(${keys});`);
+        break;
+      }
+      
+      case 'form_submit': {
+        if (isSubmittedByPreviousAction(steps, index)) {
+          actions.push('// Submitted by the previous action');
+        } else if (target) {
+          actions.push(`await ${target}.evaluate(form => form.requestSubmit());`);
+        } else {
+          actions.push(`await ${currentPage}.keyboard.press('Enter');`);
+        }
+        break;
+      }
+      
+      case 'tab_switch':
+        if (step.isNewTab) {
+          if (!pageVars.has(step.tabId)) {
+            // The opening action wasn't recorded; take the most recently opened page
+            const pageVar = `page${++pageCount}`;
+            pageVars.set(step.tabId, pageVar);
+            actions.push(`const ${pageVar} = context.pages()[context.pages().length - 1];`);
+          }
+          currentPage = pageVars.get(step.tabId);
+          navigatedPages.add(currentPage);
+          actions.push(`await ${currentPage}.waitForLoadState();`);
+        } else {
+          currentPage = pageVars.get(step.tabId) || 'page';
+          actions.push(`await ${currentPage}.bringToFront();`);
+        }
+        break;
+      
+      case 'manual':
+        // Manual snapshots usually capture hover states
+        actions.push(target ? `await ${target}.hover();` : '// Manual snapshot, no action to replay');
+        break;
+      
+      default:
+        actions.push('// Page updated, no action to replay');
+    }
+    
+    if (opensPage) {
+      // Listen for the new tab or popup before the action that opens it
+      const pageVar = `page${++pageCount}`;
+      pageVars.set(nextStep.tabId, pageVar);
+      emit(`const ${pageVar}Promise = context.waitForEvent('page');`);
+      actions.forEach(action => emit(action));
+      emit(`const ${pageVar} = await ${pageVar}Promise;`);
+    } else {
+      actions.forEach(action => emit(action));
+    }
+    
+    emit();
+  });
+  
+  // Drop the trailing blank line
+  if (body.length > 0 && body[body.length - 1] === '') {
+    body.pop();
+  }
+  
+  const lines = [
+    `import { test, expect } from '@playwright/test';`,
+    '',
+    `// Generated by SotoScribe on ${new Date().toLocaleDateString()} from ${steps.length} recorded steps`
+  ];
+  
+  if (parameters.size > 0) {
+    lines.push(
+      '',
+      '// Values that were masked during recording. Provide them as environment variables.',
+      'const testData = {',
+      ...Array.from(parameters.values()).map(parameter =>
+        `  ${parameter.name}: process.env.${parameter.envVar} ?? '', // masked during recording (${parameter.maskRule})`
+      ),
+      '};'
+    );
+  }
+  
+  if (usesFrameUrls) {
+    lines.push(
+      '',
+      '// Frames attach after the page loads; wait for one whose URL matches',
+      'async function waitForFrame(page, urlPattern) {',
+      '  const findFrame = () => page.frames().find(frame => urlPattern.test(frame.url()));',
+      '  await expect.poll(() => Boolean(findFrame())).toBe(true);',
+      '  return findFrame();',
+      '}'
+    );
+  }
+  
+  lines.push(
+    '',
+    `test(${toJsString(title)}, async ({ page, context }) => {`,
+    ...body,
+    '});',
+    ''
+  );
+  
+  return lines.join('\n');
+}
+
+/**
+ * Export workflow as a Playwright test spec
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - Export options
+ * @returns {Promise<boolean>} Success status
+ */
+export async function exportToPlaywright(steps, options = {}) {
+  const settings = {
+    filename: `workflow-${Date.now()}.spec.js`,
+    ...options
+  };
+  
+  try {
+    log("Starting Playwright export process");
+    
+    const spec = generatePlaywrightSpec(steps, settings);
+    downloadFile(spec, settings.filename, 'text/javascript');
+    
+    log("Playwright export completed successfully");
+    
+    return true;
+  } catch (error) {
+    console.error("Error exporting Playwright spec:", error);
+    return false;
+  }
+}
+
+// Locator strategies Selenium IDE can replay, in order of preference
+const SELENIUM_LOCATOR_PREFERENCE = ['id', 'testId', 'role', 'label', 'css', 'xpath'];
+
+// Selenium IDE key variables for keys that aren't plain characters
+const SELENIUM_KEYS = {
+  Ctrl: '${KEY_CTRL}',
+  Shift: '${KEY_SHIFT}',
+  Alt: '${KEY_ALT}',
+  Command: '${KEY_META}',
+  Enter: '${KEY_ENTER}',
+  Tab: '${KEY_TAB}',
+  Escape: '${KEY_ESC}',
+  Backspace: '${KEY_BKSP}',
+  Delete: '${KEY_DEL}',
+  Space: '${KEY_SPACE}',
+  ArrowUp: '${KEY_UP}',
+  ArrowDown: '${KEY_DOWN}',
+  ArrowLeft: '${KEY_LEFT}',
+  ArrowRight: '${KEY_RIGHT}',
+  PageUp: '${KEY_PGUP}',
+  PageDown: '${KEY_PGDN}',
+  Home: '${KEY_HOME}',
+  End: '${KEY_END}'
+};
+
+/**
+ * Quote a value as an XPath string literal (XPath 1.0 has no escape sequences)
+ * @param {string} value - Raw value
+ * @returns {string} XPath literal
+ */
+function toXPathLiteral(value) {
+  if (!value.includes("'")) return `'${value}'`;
+  if (!value.includes('"')) return `"${value}"`;
+  return `concat('${value.split("'").join(`', "'", '`)}')`;
+}
+
+/**
+ * Convert a step's recorded locators to Selenium IDE targets
+ * @param {Object} step - Workflow step
+ * @returns {Array<Array<string>>} [locator, type] pairs, best first
+ */
+function getSeleniumTargets(step) {
+  const elementInfo = step.elementInfo || step.targetElement || {};
+  const tagName = elementInfo.tagName;
+  const targets = [];
+  
+  const locators = (step.locators || [])
+    .filter(locator => SELENIUM_LOCATOR_PREFERENCE.includes(locator.strategy) && locator.scope !== 'shadow')
+    .sort((a, b) =>
+      (a.unique === b.unique ? 0 : a.unique ? -1 : 1) ||
+      (a.generated === b.generated ? 0 : a.generated ? 1 : -1) ||
+      SELENIUM_LOCATOR_PREFERENCE.indexOf(a.strategy) - SELENIUM_LOCATOR_PREFERENCE.indexOf(b.strategy)
+    );
+  
+  locators.forEach(locator => {
+    switch (locator.strategy) {
+      case 'id':
+        targets.push([`id=${locator.value}`, 'id']);
+        break;
+      case 'testId':
+        targets.push([`css=${locator.selector}`, 'css:finder']);
+        break;
+      case 'role':
+        if (locator.value.role === 'link') {
+          targets.push([`linkText=${locator.value.name}`, 'linkText']);
+        } else if (tagName) {
+          targets.push([`xpath=//${tagName}[normalize-space(.)=${toXPathLiteral(locator.value.name)}]`, 'xpath:innerText']);
+        }
+        break;
+      case 'label':
+        targets.push([
+          `xpath=//label[normalize-space(.)=${toXPathLiteral(locator.value)}]/following::*[self::input or self::select or self::textarea][1]`,
+          'xpath:label'
+        ]);
+        break;
+      case 'css':
+        targets.push([`css=${locator.value}`, 'css:finder']);
+        break;
+      case 'xpath':
+        targets.push([`xpath=${locator.value}`, 'xpath:position']);
+        break;
+    }
+  });
+  
+  // Name attributes are a classic Selenium locator
+  const name = elementInfo.attributes?.name;
+  if (name) {
+    targets.splice(Math.min(1, targets.length), 0, [`name=${name}`, 'name']);
+  }
+  
+  return targets;
+}
+
+/**
+ * Create a Selenium IDE command
+ * @param {string} command - Command name
+ * @param {Array<Array<string>>|string} targets - Locator targets, or a plain target
+ * @param {string} value - Command value
+ * @param {string} comment - Comment shown in Selenium IDE
+ * @returns {Object} Command
+ */
+function createSeleniumCommand(command, targets, value = '', comment = '') {
+  const targetList = Array.isArray(targets) ? targets : [];
+  return {
+    id: crypto.randomUUID(),
+    comment,
+    command,
+    target: Array.isArray(targets) ? (targetList[0]?.[0] || '') : targets,
+    targets: targetList,
+    value
+  };
+}
+
+/**
+ * Generate a Selenium IDE (.side) project from a workflow
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - { title } for the project and test name
+ * @returns {Object} Selenium IDE project
+ */
+export function generateSeleniumProject(steps, options = {}) {
+  const title = options.title || steps.find(step => step.title)?.title || 'Recorded workflow';
+  const parameters = getMaskedValueParameters(steps);
+  const firstUrl = steps.find(step => step.url)?.url || '';
+  const commands = [];
+  
+  let baseUrl = '';
+  try {
+    baseUrl = firstUrl ? new URL(firstUrl).origin : '';
+  } catch (error) {
+    console.error("Error parsing workflow URL:", error);
+  }
+  
+  // Masked values become variables that must be filled in before replaying
+  parameters.forEach(parameter => {
+    commands.push(createSeleniumCommand('store', '', parameter.name,
+      `Masked during recording (${parameter.maskRule}); set the real value before running`));
+  });
+  
+  // Window handles for multi-tab recordings
+  const firstTabId = steps.find(step => step.tabId !== undefined)?.tabId;
+  const windowHandles = new Map([[firstTabId, 'root']]);
+  if (steps.some(step => step.type === 'tab_switch')) {
+    commands.push(createSeleniumCommand('storeWindowHandle', 'root'));
+  }
+  
+  let hasOpened = false;
+  if (steps.length > 0 && steps[0].type !== 'navigate' && firstUrl) {
+    commands.push(createSeleniumCommand('open', firstUrl));
+    hasOpened = true;
+  }
+  
+  steps.forEach((step, index) => {
+    const comment = `Step ${index + 1}: ${markdownToPlainText(step.instruction) || step.type}`;
+    const targets = getSeleniumTargets(step);
+    const elementInfo = step.elementInfo || {};
+    let command = null;
+    
+    switch (step.type) {
+      case 'navigate':
+        command = hasOpened
+          ? createSeleniumCommand('assertTitle', step.title || '', '', comment)
+          : createSeleniumCommand('open', step.url, '', comment);
+        hasOpened = true;
+        break;
+      
+      case 'click':
+        if (elementInfo.tagName === 'option') break; // Covered by the select command
+        if (elementInfo.tagName === 'input' && elementInfo.controlType === 'checkbox') {
+          command = createSeleniumCommand(elementInfo.checked ? 'check' : 'uncheck', targets, '', comment);
+        } else {
+          command = createSeleniumCommand('click', targets, '', comment);
+        }
+        break;
+      
+      case 'input': {
+        const inputType = elementInfo.attributes?.type;
+        if (inputType === 'checkbox' || inputType === 'radio') break; // Toggled by the click
+        
+        const parameter = parameters.get(step);
+        const value = parameter ? `\${${parameter.name}}` : (step.actualValue ?? '');
+        command = elementInfo.tagName === 'select'
+          ? createSeleniumCommand('select', targets, `value=${value}`, comment)
+          : createSeleniumCommand('type', targets, value, comment);
+        break;
+      }
+      
+      case 'keyboard': {
+        const keys = (step.shortcut || '').split(' + ').map(key => SELENIUM_KEYS[key] || key.toLowerCase()).join('');
+        command = createSeleniumCommand('sendKeys', targets.length > 0 ? targets : 'css=body', keys, comment);
+        break;
+      }
+      
+      case 'form_submit': {
+        if (!isSubmittedByPreviousAction(steps, index) && targets.length > 0) {
+          command = createSeleniumCommand('submit', targets, '', comment);
+        }
+        break;
+      }
+      
+      case 'tab_switch':
+        if (windowHandles.has(step.tabId)) {
+          command = createSeleniumCommand('selectWindow', `handle=\${${windowHandles.get(step.tabId)}}`, '', comment);
+        }
+        break;
+      
+      case 'manual':
+        if (targets.length > 0) {
+          command = createSeleniumCommand('mouseOver', targets, '', comment);
+        }
+        break;
+    }
+    
+    if (!command) return;
+    
+    // Shadow DOM elements have no locator Selenium IDE can resolve
+    if (['click', 'check', 'uncheck', 'type', 'select'].includes(command.command) && !command.target) {
+      command.comment += ' (no Selenium IDE compatible locator was recorded, e.g. element inside shadow DOM)';
+    }
+    
+    // Steps in iframes need a selectFrame the recording can't know the locator for
+    if (step.frameId && step.frameUrl && command.targets.length > 0) {
+      command.comment += ` (inside iframe ${step.frameUrl}; add selectFrame before this command)`;
+    }
+    
+    // An action that opens a tab or popup waits for the new window
+    const nextStep = steps[index + 1];
+    if (nextStep && nextStep.type === 'tab_switch' && nextStep.isNewTab && command.targets.length > 0) {
+      const handleName = `win${windowHandles.size + 1}`;
+      windowHandles.set(nextStep.tabId, handleName);
+      command.opensWindow = true;
+      command.windowHandleName = handleName;
+      command.windowTimeout = 2000;
+    }
+    
+    commands.push(command);
+  });
+  
+  const testId = crypto.randomUUID();
+  
+  return {
+    id: crypto.randomUUID(),
+    version: '2.0',
+    name: title,
+    url: baseUrl,
+    tests: [{
+      id: testId,
+      name: title,
+      commands
+    }],
+    suites: [{
+      id: crypto.randomUUID(),
+      name: 'Default Suite',
+      persistSession: false,
+      parallel: false,
+      timeout: 300,
+      tests: [testId]
+    }],
+    urls: baseUrl ? [`${baseUrl}/`] : [],
+    plugins: []
+  };
+}
+
+/**
+ * Export workflow as a Selenium IDE project
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - Export options
+ * @returns {Promise<boolean>} Success status
+ */
+export async function exportToSelenium(steps, options = {}) {
+  const settings = {
+    filename: `workflow-${Date.now()}.side`,
+    ...options
+  };
+  
+  try {
+    log("Starting Selenium IDE export process");
+    
+    const project = generateSeleniumProject(steps, settings);
+    downloadFile(JSON.stringify(project, null, 2), settings.filename, 'application/json');
+    
+    log("Selenium IDE export completed successfully");
+    
+    return true;
+  } catch (error) {
+    console.error("Error exporting Selenium IDE project:", error);
+    return false;
+  }
+}
+
+/**
+ * Quote a value for a Gherkin step (Cucumber expression {string})
+ * @param {*} value - Value to quote
+ * @returns {string} Double-quoted value
+ */
+function toGherkinString(value) {
+  return `"${String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\s*\n\s*/g, ' ')}"`;
+}
+
+/**
+ * Turn an instruction into first-person Gherkin step text, quoting the bold values
+ * @param {string} instruction - Instruction markdown
+ * @returns {string} Step text, e.g. 'I click the "Save" button'
+ */
+function toGherkinText(instruction) {
+  const text = parseInlineMarkdown(instruction)
+    .map(run => run.bold || run.code ? toGherkinString(run.text) : run.text)
+    .join('')
+    .replace(/\s*\n\s*/g, ' ')
+    .trim()
+    .replace(/\.$/, '');
+  
+  if (!text) return '';
+  return /^[A-Z][a-z]/.test(text) ? `I ${text[0].toLowerCase()}${text.slice(1)}` : `I ${text}`;
+}
+
+/**
+ * Escape a Gherkin table cell
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function toGherkinCell(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\n/g, '\\n');
+}
+
+/**
+ * Generate a Cucumber feature file from a workflow
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - { title } for the feature and scenario name
+ * @returns {string} Feature file content
+ */
+export function generateGherkinFeature(steps, options = {}) {
+  const title = options.title || steps.find(step => step.title)?.title || 'Recorded workflow';
+  const parameters = getMaskedValueParameters(steps);
+  const body = [];
+  let previousKeyword = null;
+  
+  // Repeated keywords read as "And" in Gherkin
+  const emit = (keyword, text) => {
+    if (!text) return;
+    body.push(`    ${keyword === previousKeyword ? 'And' : keyword} ${text}`);
+    previousKeyword = keyword;
+  };
+  
+  // The first navigate step sets the scene; otherwise start from the first recorded page
+  if (steps.length > 0 && steps[0].type !== 'navigate' && steps[0].url) {
+    emit('Given', `I am on ${toGherkinString(steps[0].url)}`);
+  }
+  
+  steps.forEach((step, index) => {
+    const expectedResult = markdownToPlainText(step.expectedResult);
+    let text;
+    
+    switch (step.type) {
+      case 'navigate':
+        text = index === 0
+          ? `I am on ${toGherkinString(step.url)}`
+          : `I navigate to ${toGherkinString(step.url)}`;
+        break;
+      
+      case 'input': {
+        const elementInfo = step.elementInfo || {};
+        const field = elementInfo.label || elementInfo.elementName || elementInfo.ariaLabel;
+        const parameter = parameters.get(step);
+        const value = parameter ? `"<${parameter.name}>"` : toGherkinString(step.actualValue);
+        const inputType = elementInfo.attributes?.type;
+        
+        if (inputType === 'checkbox' || inputType === 'radio') {
+          // Toggled by the previous click
+          text = null;
+        } else if (elementInfo.tagName === 'select') {
+          text = `I select ${value}${field ? ` from the ${toGherkinString(field)} dropdown` : ''}`;
+        } else {
+          text = `I enter ${value}${field ? ` in the ${toGherkinString(field)} field` : ''}`;
+        }
+        break;
+      }
+      
+      case 'keyboard':
+        text = `I press ${toGherkinString(step.shortcut)}`;
+        break;
+      
+      case 'form_submit':
+        text = isSubmittedByPreviousAction(steps, index) ? null : toGherkinText(step.instruction);
+        break;
+      
+      default:
+        text = toGherkinText(step.instruction);
+    }
+    
+    if (step.isVerification) {
+      // Verification steps state the outcome rather than an action
+      emit('Then', expectedResult || text);
+      return;
+    }
+    
+    emit(step.type === 'navigate' && index === 0 ? 'Given' : 'When', text);
+    
+    if (expectedResult) {
+      emit('Then', expectedResult);
+    }
+  });
+  
+  const lines = [
+    `# Generated by SotoScribe on ${new Date().toLocaleDateString()} from ${steps.length} recorded steps`,
+    `Feature: ${title}`,
+    '',
+    `  ${parameters.size > 0 ? 'Scenario Outline' : 'Scenario'}: ${title}`,
+    ...body
+  ];
+  
+  if (parameters.size > 0) {
+    // Masked values become examples; the mask rules show what to fill in
+    const values = Array.from(parameters.values());
+    lines.push(
+      '',
+      '    Examples:',
+      `      | ${values.map(parameter => toGherkinCell(parameter.name)).join(' | ')} |`,
+      `      | ${values.map(parameter => toGherkinCell(`masked (${parameter.maskRule})`)).join(' | ')} |`
+    );
+  }
+  
+  lines.push('');
+  return lines.join('\n');
+}
+
+/**
+ * Export workflow as a Cucumber feature file
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - Export options
+ * @returns {Promise<boolean>} Success status
+ */
+export async function exportToGherkin(steps, options = {}) {
+  const settings = {
+    filename: `workflow-${Date.now()}.feature`,
+    ...options
+  };
+  
+  try {
+    log("Starting Gherkin export process");
+    
+    const feature = generateGherkinFeature(steps, settings);
+    downloadFile(feature, settings.filename, 'text/plain');
+    
+    log("Gherkin export completed successfully");
+    
+    return true;
+  } catch (error) {
+    console.error("Error exporting Gherkin feature:", error);
+    return false;
+  }
+}
+
+/**
+ * Decode a screenshot and re-encode it, optionally scaled down
+ * @param {string} dataUrl - Screenshot data URL
+ * @param {Object} options - { maxWidth, type: 'image/jpeg' | 'image/png' | 'image/webp', quality }
+ * @returns {Promise<Object>} { bytes, width, height, type, extension }
+ */
+export async function createImageAsset(dataUrl, options = {}) {
+  const { maxWidth = null, type = 'image/jpeg', quality = 0.85 } = options;
+  
+  const sourceBlob = await (await fetch(dataUrl)).blob();
+  const bitmap = await createImageBitmap(sourceBlob);
+  const scale = maxWidth && bitmap.width > maxWidth ? maxWidth / bitmap.width : 1;
+  const width = Math.round(bitmap.width * scale);
+  const height = Math.round(bitmap.height * scale);
+  const extension = { 'image/png': 'png', 'image/webp': 'webp' }[type] || 'jpg';
+  
+  // Keep the original bytes when nothing needs to change
+  if (scale === 1 && sourceBlob.type === type) {
+    bitmap.close();
+    return { bytes: new Uint8Array(await sourceBlob.arrayBuffer()), width, height, type, extension };
+  }
+  
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  if (type === 'image/jpeg') {
+    // JPEG has no alpha; avoid transparent areas turning black
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+  }
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+  
+  const blob = await canvas.convertToBlob({ type, quality });
+  return { bytes: new Uint8Array(await blob.arrayBuffer()), width, height, type, extension };
+}
+
+// Columns of the manual test case exports
+const TEST_CASE_COLUMNS = ['Step #', 'Action', 'Test Data', 'Expected Result', 'Page', 'URL'];
+
+/**
+ * Turn workflow steps into manual test case rows
+ * @param {Array} steps - Workflow steps
+ * @returns {Array<Array>} One row per step, in TEST_CASE_COLUMNS order
+ */
+export function getTestCaseRows(steps) {
+  return steps.map((step, index) => {
+    // Test data is the value as captured, which is already masked for sensitive fields
+    let testData = '';
+    if (step.type === 'input') {
+      testData = step.isSensitive ? (step.maskedValue || step.actualValue) : (step.actualValue ?? '');
+    } else if (step.type === 'keyboard') {
+      testData = step.shortcut || '';
+    }
+    
+    return [
+      index + 1,
+      markdownToPlainText(step.instruction),
+      testData,
+      step.expectedResult || '',
+      step.title || '',
+      step.url || ''
+    ];
+  });
+}
+
+/**
+ * Quote a CSV field. Fields that a spreadsheet would evaluate as a formula are prefixed
+ * with an apostrophe so recorded values can't run as formulas when the file is opened.
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function toCsvField(value) {
+  let text = String(value ?? '');
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Generate a manual test case CSV
+ * @param {Array} steps - Workflow steps
+ * @returns {string} CSV content (with BOM so Excel detects UTF-8)
+ */
+export function generateTestCaseCsv(steps) {
+  const rows = [TEST_CASE_COLUMNS, ...getTestCaseRows(steps)];
+  return '\uFEFF' + rows.map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Export workflow as a manual test case CSV
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - Export options
+ * @returns {Promise<boolean>} Success status
+ */
+export async function exportToCsv(steps, options = {}) {
+  const settings = {
+    filename: `workflow-${Date.now()}.csv`,
+    ...options
+  };
+  
+  try {
+    log("Starting CSV export process");
+    
+    downloadFile(generateTestCaseCsv(steps), settings.filename, 'text/csv');
+    
+    log("CSV export completed successfully");
+    
+    return true;
+  } catch (error) {
+    console.error("Error exporting CSV:", error);
+    return false;
+  }
+}
+
+/**
+ * Generate a manual test case workbook with a screenshot thumbnail per step
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - { title, thumbnailWidth }
+ * @returns {Promise<Blob>} XLSX file
+ */
+export async function generateTestCaseWorkbook(steps, options = {}) {
+  const thumbnailWidth = options.thumbnailWidth || 200;
+  const screenshotColumn = TEST_CASE_COLUMNS.length;
+  const images = [];
+  
+  for (let index = 0; index < steps.length; index++) {
+    const step = steps[index];
+    if (!step.screenshot || step.type === 'tab_switch') continue;
+    
+    try {
+      const thumbnail = await createImageAsset(step.screenshot, { maxWidth: thumbnailWidth, type: 'image/jpeg', quality: 0.8 });
+      images.push({ ...thumbnail, row: index, column: screenshotColumn });
+    } catch (error) {
+      console.error(`Error creating thumbnail for step ${index + 1}:`, error);
+    }
+  }
+  
+  return buildXlsxWorkbook({
+    sheetName: 'Test Case',
+    title: options.title || 'SotoScribe Test Case',
+    columns: [
+      { header: 'Step #', width: 8 },
+      { header: 'Action', width: 45 },
+      { header: 'Test Data', width: 22 },
+      { header: 'Expected Result', width: 40 },
+      { header: 'Page', width: 25 },
+      { header: 'URL', width: 40 },
+      { header: 'Screenshot', width: Math.ceil(thumbnailWidth / 7) + 2 }
+    ],
+    rows: getTestCaseRows(steps).map(row => [...row, '']),
+    images
+  });
+}
+
+/**
+ * Export workflow as a manual test case XLSX workbook
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - Export options
+ * @returns {Promise<boolean>} Success status
+ */
+export async function exportToXlsx(steps, options = {}) {
+  const settings = {
+    filename: `workflow-${Date.now()}.xlsx`,
+    ...options
+  };
+  
+  try {
+    log("Starting XLSX export process");
+    
+    const workbook = await generateTestCaseWorkbook(steps, settings);
+    downloadFile(workbook, settings.filename, workbook.type);
+    
+    log("XLSX export completed successfully");
+    
+    return true;
+  } catch (error) {
+    console.error("Error exporting XLSX:", error);
+    return false;
+  }
+}
+
+/**
+ * Generate a Word document from a workflow
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - { title, compressImages }
+ * @returns {Promise<Blob>} DOCX file
+ */
+export async function generateDocx(steps, options = {}) {
+  const title = options.title || 'SotoScribe Workflow Documentation';
+  const compressImages = options.compressImages !== false;
+  const blocks = [];
+  
+  for (let index = 0; index < steps.length; index++) {
+    const step = steps[index];
+    
+    blocks.push({ type: 'step', runs: step.instruction ? parseInlineMarkdown(step.instruction) : [{ text: 'No instruction' }] });
+    blocks.push({ type: 'paragraph', style: 'Metadata', runs: [{ text: 'Page: ', bold: true }, { text: step.title || 'Untitled Page' }] });
+    blocks.push({ type: 'paragraph', style: 'Metadata', runs: [{ text: 'URL: ', bold: true }, { text: step.url || 'Unknown URL' }] });
+    
+    if (step.expectedResult) {
+      blocks.push({ type: 'paragraph', style: 'ExpectedResult', runs: [{ text: 'Expected result: ', bold: true }, ...parseInlineMarkdown(step.expectedResult)] });
+    }
+    
+    if (step.type === 'tab_switch' || !step.screenshot) continue;
+    
+    try {
+      // Screenshots are scaled to the page width by the builder; compression only limits the file size
+      const image = compressImages
+        ? await createImageAsset(step.screenshot, { maxWidth: 1600, type: 'image/jpeg', quality: 0.8 })
+        : await createImageAsset(step.screenshot, { type: 'image/png' });
+      blocks.push({ type: 'image', image, description: `Step ${index + 1} screenshot` });
+    } catch (error) {
+      console.error(`Error embedding screenshot for step ${index + 1}:`, error);
+      blocks.push({ type: 'paragraph', style: 'Metadata', runs: [{ text: '[Error loading screenshot]' }] });
+    }
+  }
+  
+  return buildDocxDocument({
+    title,
+    coverLines: [
+      `${steps.length} step${steps.length === 1 ? '' : 's'}`,
+      `Created on ${new Date().toLocaleDateString()}`
+    ],
+    blocks
+  });
+}
+
+/**
+ * Export workflow as a Word document
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - Export options
+ * @returns {Promise<boolean>} Success status
+ */
+export async function exportToDocx(steps, options = {}) {
+  const settings = {
+    filename: `workflow-${Date.now()}.docx`,
+    compressImages: true,
+    ...options
+  };
+  
+  try {
+    log("Starting DOCX export process");
+    
+    const docx = await generateDocx(steps, settings);
+    downloadFile(docx, settings.filename, docx.type);
+    
+    log("DOCX export completed successfully");
+    
+    return true;
+  } catch (error) {
+    console.error("Error exporting DOCX:", error);
+    return false;
+  }
+}
+
+/**
+ * Escape text used as a Markdown link label
+ * @param {string} text - Link text
+ * @returns {string} Escaped text
+ */
+function escapeMarkdownLinkText(text) {
+  return String(text ?? '').replace(/([\\[\]])/g, '\\$1');
+}
+
+/**
+ * Generate a Markdown guide with screenshots as separate image files
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - { title, compressImages } where compressed screenshots are saved as WebP
+ * @returns {Promise<Blob>} ZIP file with README.md and an images/ folder
+ */
+export async function generateMarkdownBundle(steps, options = {}) {
+  const title = options.title || 'SotoScribe Workflow Documentation';
+  const compressImages = options.compressImages !== false;
+  const zip = new ZipWriter();
+  const lines = [
+    `# ${title}`,
+    '',
+    `_Created on ${new Date().toLocaleDateString()} · ${steps.length} step${steps.length === 1 ? '' : 's'}_`,
+    ''
+  ];
+  
+  for (let index = 0; index < steps.length; index++) {
+    const step = steps[index];
+    const stepNumber = String(index + 1).padStart(String(steps.length).length, '0');
+    
+    // Instructions are already Markdown, so they pass through unchanged
+    lines.push(`## Step ${index + 1}`, '', step.instruction || 'No instruction', '');
+    
+    if (step.expectedResult) {
+      lines.push(`> **Expected result:** ${step.expectedResult.replace(/\n/g, '\n> ')}`, '');
+    }
+    
+    if (step.url) {
+      lines.push(`Page: [${escapeMarkdownLinkText(step.title || 'Untitled Page')}](<${step.url}>)`, '');
+    }
+    
+    if (step.type === 'tab_switch' || !step.screenshot) continue;
+    
+    try {
+      const image = await createImageAsset(step.screenshot, {
+        type: compressImages ? 'image/webp' : 'image/png',
+        quality: 0.85
+      });
+      const path = `images/step-${stepNumber}.${image.extension}`;
+      zip.addFile(path, image.bytes, { compress: false });
+      lines.push(`![Step ${index + 1} screenshot](${path})`, '');
+    } catch (error) {
+      console.error(`Error saving screenshot for step ${index + 1}:`, error);
+      lines.push('_[Error loading screenshot]_', '');
+    }
+  }
+  
+  lines.push('---', '', '_Generated with SotoScribe - Workflow Documentation Tool_', '');
+  zip.addFile('README.md', lines.join('\n'));
+  
+  return zip.generate();
+}
+
+/**
+ * Export workflow as a Markdown + images ZIP archive
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - Export options
+ * @returns {Promise<boolean>} Success status
+ */
+export async function exportToMarkdown(steps, options = {}) {
+  const settings = {
+    filename: `workflow-${Date.now()}.zip`,
+    compressImages: true,
+    ...options
+  };
+  
+  try {
+    log("Starting Markdown export process");
+    
+    const bundle = await generateMarkdownBundle(steps, settings);
+    downloadFile(bundle, settings.filename, bundle.type);
+    
+    log("Markdown export completed successfully");
+    
+    return true;
+  } catch (error) {
+    console.error("Error exporting Markdown:", error);
+    return false;
+  }
+}
+
+/**
+ * Split markdown into text and fenced code blocks
+ * @param {string} markdown - Instruction markdown
+ * @returns {Array<Object>} [{ text }] or [{ code, language }] in order
+ */
+function splitFencedCode(markdown) {
+  const source = markdown || '';
+  const fence = /```([\w+-]*)[^\S\n]*\n?([\s\S]*?)\n?```/g;
+  const segments = [];
+  let lastIndex = 0;
+  let match;
+  
+  while ((match = fence.exec(source)) !== null) {
+    segments.push({ text: source.slice(lastIndex, match.index) });
+    segments.push({ code: match[2], language: match[1] });
+    lastIndex = fence.lastIndex;
+  }
+  segments.push({ text: source.slice(lastIndex) });
+  
+  return segments;
+}
+
+/**
+ * Wrap code in a Confluence code macro
+ * @param {string} code - Code text
+ * @param {string} language - Language for syntax highlighting, if known
+ * @returns {string} Storage format macro
+ */
+function toConfluenceCodeMacro(code, language) {
+  // CDATA can't contain "]]>", so split it across two sections
+  const body = String(code)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/]]>/g, ']]]]><![CDATA[>');
+  
+  return '<ac:structured-macro ac:name="code">' +
+    (language ? `<ac:parameter ac:name="language">${cleanXmlString(language)}</ac:parameter>` : '') +
+    `<ac:plain-text-body><![CDATA[${body}]]></ac:plain-text-body>` +
+    '</ac:structured-macro>';
+}
+
+/**
+ * Convert instruction markdown to Confluence storage format. Text becomes paragraphs;
+ * fenced and inline code become code macros, which are blocks of their own.
+ * @param {string} markdown - Instruction markdown
+ * @returns {string} Storage format XHTML blocks
+ */
+function markdownToConfluenceStorage(markdown) {
+  const blocks = [];
+  let paragraph = '';
+  
+  const endParagraph = () => {
+    const content = paragraph.replace(/^(\s|<br \/>)+|(\s|<br \/>)+$/g, '');
+    if (content) blocks.push(`<p>${content}</p>`);
+    paragraph = '';
+  };
+  
+  for (const segment of splitFencedCode(markdown)) {
+    if (segment.code !== undefined) {
+      endParagraph();
+      blocks.push(toConfluenceCodeMacro(segment.code, segment.language));
+      continue;
+    }
+    
+    for (const run of parseInlineMarkdown(segment.text)) {
+      if (run.code) {
+        endParagraph();
+        blocks.push(toConfluenceCodeMacro(run.text));
+        continue;
+      }
+      
+      const text = cleanXmlString(run.text).replace(/\n/g, '<br />');
+      if (run.bold) paragraph += `<strong>${text}</strong>`;
+      else if (run.italic) paragraph += `<em>${text}</em>`;
+      else paragraph += text;
+    }
+  }
+  endParagraph();
+  
+  return blocks.join('');
+}
+
+/**
+ * Escape text for Confluence wiki markup
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeConfluenceWiki(text) {
+  return String(text ?? '').replace(/([\\[\]{}|!*_^~])/g, '\\$1');
+}
+
+/**
+ * Convert instruction markdown to Confluence wiki markup
+ * @param {string} markdown - Instruction markdown
+ * @returns {string} Wiki markup
+ */
+function markdownToConfluenceWiki(markdown) {
+  return splitFencedCode(markdown).map(segment => {
+    if (segment.code !== undefined) {
+      return `\n{code${segment.language ? `:language=${segment.language}` : ''}}\n${segment.code}\n{code}\n`;
+    }
+    
+    const wiki = parseInlineMarkdown(segment.text).map(run => {
+      const text = escapeConfluenceWiki(run.text);
+      if (run.bold) return `*${text}*`;
+      if (run.code) return `{{${text}}}`;
+      if (run.italic) return `_${text}_`;
+      return text;
+    }).join('');
+    
+    // Line breaks inside a paragraph
+    return wiki.trim().replace(/\n/g, '\\\\\n');
+  }).filter(Boolean).join('').trim();
+}
+
+/**
+ * Generate a Confluence export: storage-format XHTML, the same page in wiki markup,
+ * and an images/ folder to upload as page attachments
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - { title, compressImages } where compressed screenshots are saved as JPEG
+ * @returns {Promise<Blob>} ZIP file
+ */
+export async function generateConfluenceBundle(steps, options = {}) {
+  const title = options.title || 'SotoScribe Workflow Documentation';
+  const compressImages = options.compressImages !== false;
+  const created = `Created on ${new Date().toLocaleDateString()}`;
+  const zip = new ZipWriter();
+  
+  const storage = [
+    `<h1>${cleanXmlString(title)}</h1>`,
+    `<p><em>${cleanXmlString(created)}</em></p>`
+  ];
+  const wiki = [
+    `h1. ${escapeConfluenceWiki(title)}`,
+    '',
+    `_${escapeConfluenceWiki(created)}_`,
+    ''
+  ];
+  
+  for (let index = 0; index < steps.length; index++) {
+    const step = steps[index];
+    const pageTitle = step.title || 'Untitled Page';
+    
+    storage.push(`<h2>Step ${index + 1}</h2>`, markdownToConfluenceStorage(step.instruction || 'No instruction'));
+    wiki.push(`h2. Step ${index + 1}`, '', markdownToConfluenceWiki(step.instruction || 'No instruction'), '');
+    
+    if (step.expectedResult) {
+      storage.push(
+        '<ac:structured-macro ac:name="info">' +
+        `<ac:parameter ac:name="title">Expected result</ac:parameter>` +
+        `<ac:rich-text-body>${markdownToConfluenceStorage(step.expectedResult)}</ac:rich-text-body>` +
+        '</ac:structured-macro>'
+      );
+      wiki.push(`{info:title=Expected result}${markdownToConfluenceWiki(step.expectedResult)}{info}`, '');
+    }
+    
+    if (step.url) {
+      storage.push(`<p><strong>Page:</strong> <a href="${cleanXmlString(step.url)}">${cleanXmlString(pageTitle)}</a></p>`);
+      wiki.push(`*Page:* [${escapeConfluenceWiki(pageTitle)}|${step.url.replace(/([|\]])/g, encodeURIComponent)}]`, '');
+    }
+    
+    if (step.type === 'tab_switch' || !step.screenshot) continue;
+    
+    try {
+      const image = await createImageAsset(step.screenshot, {
+        type: compressImages ? 'image/jpeg' : 'image/png',
+        quality: 0.85
+      });
+      const filename = `step-${String(index + 1).padStart(String(steps.length).length, '0')}.${image.extension}`;
+      const width = Math.min(image.width, 800);
+      
+      zip.addFile(`images/${filename}`, image.bytes, { compress: false });
+      storage.push(`<p><ac:image ac:width="${width}" ac:alt="Step ${index + 1} screenshot"><ri:attachment ri:filename="${filename}" /></ac:image></p>`);
+      wiki.push(`!${filename}|width=${width}!`, '');
+    } catch (error) {
+      console.error(`Error saving screenshot for step ${index + 1}:`, error);
+    }
+  }
+  
+  zip.addFile('page-storage-format.xml', storage.join('\n') + '\n');
+  zip.addFile('page-wiki-markup.txt', wiki.join('\n'));
+  
+  return zip.generate();
+}
+
+/**
+ * Export workflow for Confluence
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - Export options
+ * @returns {Promise<boolean>} Success status
+ */
+export async function exportToConfluence(steps, options = {}) {
+  const settings = {
+    filename: `workflow-confluence-${Date.now()}.zip`,
+    compressImages: true,
+    ...options
+  };
+  
+  try {
+    log("Starting Confluence export process");
+    
+    const bundle = await generateConfluenceBundle(steps, settings);
+    downloadFile(bundle, settings.filename, bundle.type);
+    
+    log("Confluence export completed successfully");
+    
+    return true;
+  } catch (error) {
+    console.error("Error exporting Confluence page:", error);
+    return false;
+  }
+}
+
+/**
+ * Export workflow as an animated GIF
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - Export options, including stepDuration in milliseconds
+ * @returns {Promise<boolean>} Success status
+ */
+export async function exportToGif(steps, options = {}) {
+  const settings = {
+    filename: `workflow-${Date.now()}.gif`,
+    stepDuration: 3000,
+    ...options
+  };
+  
+  try {
+    log("Starting GIF export process");
+    
+    const gif = await renderWorkflowGif(steps, settings);
+    downloadFile(gif, settings.filename, 'image/gif');
+    
+    log("GIF export completed successfully");
+    
+    return true;
+  } catch (error) {
+    console.error("Error exporting GIF:", error);
+    return false;
+  }
+}
+
+/**
+ * Export workflow as a WebM video
+ * Recording happens in real time, so this takes as long as the video plays.
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - Export options, including stepDuration in milliseconds
+ * @returns {Promise<boolean>} Success status
+ */
+export async function exportToWebm(steps, options = {}) {
+  const settings = {
+    filename: `workflow-${Date.now()}.webm`,
+    stepDuration: 3000,
+    ...options
+  };
+  
+  try {
+    log("Starting WebM export process");
+    
+    const video = await renderWorkflowWebm(steps, settings);
+    downloadFile(video, settings.filename, 'video/webm');
+    
+    log("WebM export completed successfully");
+    
+    return true;
+  } catch (error) {
+    console.error("Error exporting WebM:", error);
+    return false;
+  }
+}
+
+/**
+ * Throw a readable error if a workflow document doesn't match the schema
+ * @param {Object} document - Workflow document
+ * @returns {Object} The same document
+ */
+function assertValidWorkflowDocument(document) {
+  const { valid, errors } = validateWorkflowDocument(document);
+  if (!valid) {
+    const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+    throw new Error(`Workflow does not match schema version ${WORKFLOW_SCHEMA_VERSION}: ${errors.slice(0, 5).join('; ')}${more}`);
+  }
+  return document;
+}
+
+/**
+ * Generate the workflow as a single JSON document with base64 screenshots
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - { title, description }
+ * @returns {string} JSON text
+ */
+export function generateWorkflowJson(steps, options = {}) {
+  return JSON.stringify(assertValidWorkflowDocument(createWorkflowDocument(steps, options)), null, 2);
+}
+
+/**
+ * Generate the workflow as workflow.json plus an assets/ folder of screenshots,
+ * with the JSON Schema alongside so other tools can validate the document
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - { title, description }
+ * @returns {Promise<Blob>} ZIP file
+ */
+export async function generateWorkflowJsonBundle(steps, options = {}) {
+  const document = createWorkflowDocument(steps, options);
+  const zip = new ZipWriter();
+  
+  document.assets = document.assets.map(asset => {
+    const extension = asset.mediaType.split('/')[1].replace('jpeg', 'jpg').replace(/\+.*$/, '');
+    const path = `assets/${asset.id}.${extension}`;
+    zip.addFile(path, Uint8Array.from(atob(asset.data), char => char.charCodeAt(0)), { compress: false });
+    return { id: asset.id, mediaType: asset.mediaType, path };
+  });
+  
+  assertValidWorkflowDocument(document);
+  zip.addFile('workflow.json', JSON.stringify(document, null, 2));
+  zip.addFile('schema.json', JSON.stringify(WORKFLOW_SCHEMA, null, 2));
+  
+  return zip.generate();
+}
+
+/**
+ * Export workflow as a JSON document
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - Export options
+ * @returns {Promise<boolean>} Success status
+ */
+export async function exportToJson(steps, options = {}) {
+  const settings = {
+    filename: `workflow-${Date.now()}.json`,
+    ...options
+  };
+  
+  try {
+    log("Starting JSON export process");
+    
+    const json = generateWorkflowJson(steps, settings);
+    downloadFile(json, settings.filename, 'application/json');
+    
+    log("JSON export completed successfully");
+    
+    return true;
+  } catch (error) {
+    console.error("Error exporting workflow JSON:", error);
+    return false;
+  }
+}
+
+/**
+ * Export workflow as a JSON document with screenshots as separate files
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - Export options
+ * @returns {Promise<boolean>} Success status
+ */
+export async function exportToJsonBundle(steps, options = {}) {
+  const settings = {
+    filename: `workflow-json-${Date.now()}.zip`,
+    ...options
+  };
+  
+  try {
+    log("Starting JSON bundle export process");
+    
+    const bundle = await generateWorkflowJsonBundle(steps, settings);
+    downloadFile(bundle, settings.filename, bundle.type);
+    
+    log("JSON bundle export completed successfully");
+    
+    return true;
+  } catch (error) {
+    console.error("Error exporting workflow JSON bundle:", error);
+    return false;
+  }
+}
+
+/**
+ * Import a workflow exported as JSON, or as a ZIP with workflow.json and its assets.
+ * Older schema versions are migrated, and the result is validated before use.
+ * @param {File} file - Selected file
+ * @returns {Promise<Object>} { metadata, steps }
+ */
+export async function importWorkflowFile(file) {
+  log(`Importing workflow from ${file.name}`);
+  
+  const isZip = file.type === 'application/zip' || /\.zip$/i.test(file.name);
+  const entries = isZip ? await readZip(file) : null;
+  
+  let text;
+  if (entries) {
+    if (!entries.has('workflow.json')) {
+      throw new Error('The ZIP file has no workflow.json');
+    }
+    text = new TextDecoder().decode(entries.get('workflow.json'));
+  } else {
+    text = await file.text();
+  }
+  
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+  
+  const document = assertValidWorkflowDocument(migrateWorkflowDocument(parsed));
+  
+  // Screenshots shipped as separate files are read from the ZIP
+  const files = {};
+  for (const asset of document.assets) {
+    if (asset.path && entries && entries.has(asset.path)) {
+      files[asset.path] = await blobToDataUrl(new Blob([entries.get(asset.path)], { type: asset.mediaType }));
+    }
+  }
+  
+  const steps = getWorkflowSteps(document, files);
+  log(`Imported ${steps.length} steps (schema version ${document.schemaVersion})`);
+  
+  return { metadata: document.metadata, steps };
+}
+
 /**
  * Clear workflow data from storage
  * @returns {Promise<boolean>} Success status
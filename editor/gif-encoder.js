@@ -0,0 +1,295 @@
+/*
+ * Copyright [2025] [Antony Soto]
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// SotoScribe - GIF Encoder
+// Encodes RGBA frames as an animated GIF. Each frame only stores the rectangle that changed
+// since the previous one, with its own palette of the most frequent colors.
+
+// GIF delays are in hundredths of a second
+const MIN_DELAY = 2;
+
+/**
+ * LZW-compress color indexes as GIF image data
+ * @param {Uint8Array} indexes - Color index per pixel
+ * @param {number} minCodeSize - Minimum code size (bits per index, at least 2)
+ * @returns {Uint8Array} Compressed codes
+ */
+function lzwEncode(indexes, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const bytes = [];
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+  let buffer = 0;
+  let bufferBits = 0;
+  
+  const emit = (code) => {
+    buffer |= code << bufferBits;
+    bufferBits += codeSize;
+    while (bufferBits >= 8) {
+      bytes.push(buffer & 0xFF);
+      buffer >>>= 8;
+      bufferBits -= 8;
+    }
+  };
+  
+  emit(clearCode);
+  let prefix = indexes[0];
+  
+  for (let i = 1; i < indexes.length; i++) {
+    const index = indexes[i];
+    const key = (prefix << 8) | index;
+    const code = table.get(key);
+    
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    
+    emit(prefix);
+    if (nextCode === 4096) {
+      // Table is full; start over
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= (1 << codeSize)) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = index;
+  }
+  
+  emit(prefix);
+  emit(endCode);
+  if (bufferBits > 0) {
+    bytes.push(buffer & 0xFF);
+  }
+  
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Build a palette of up to 256 colors for a region and map its pixels to it
+ * Colors are bucketed to 5 bits per channel; the most frequent buckets become the palette.
+ * @param {Uint8ClampedArray} pixels - RGBA pixels of the whole frame
+ * @param {number} frameWidth - Frame width
+ * @param {Object} rect - { x, y, width, height } region to quantize
+ * @returns {Object} { palette: Uint8Array (RGB), indexes: Uint8Array, bits }
+ */
+function quantize(pixels, frameWidth, rect) {
+  const counts = new Uint32Array(32768);
+  const bucketOf = (offset) => ((pixels[offset] >> 3) << 10) | ((pixels[offset + 1] >> 3) << 5) | (pixels[offset + 2] >> 3);
+  
+  for (let y = rect.y; y < rect.y + rect.height; y++) {
+    for (let x = rect.x; x < rect.x + rect.width; x++) {
+      counts[bucketOf((y * frameWidth + x) * 4)]++;
+    }
+  }
+  
+  const buckets = [];
+  for (let bucket = 0; bucket < counts.length; bucket++) {
+    if (counts[bucket] > 0) buckets.push(bucket);
+  }
+  buckets.sort((a, b) => counts[b] - counts[a]);
+  const chosen = buckets.slice(0, 256);
+  
+  // The color table size must be a power of two, at least 4 entries
+  let bits = 2;
+  while ((1 << bits) < chosen.length) bits++;
+  
+  const palette = new Uint8Array((1 << bits) * 3);
+  chosen.forEach((bucket, i) => {
+    palette[i * 3] = ((bucket >> 10) & 31) * 8 + 4;
+    palette[i * 3 + 1] = ((bucket >> 5) & 31) * 8 + 4;
+    palette[i * 3 + 2] = (bucket & 31) * 8 + 4;
+  });
+  
+  // Nearest palette entry per bucket, looked up lazily
+  const lookup = new Int16Array(32768).fill(-1);
+  chosen.forEach((bucket, i) => { lookup[bucket] = i; });
+  
+  const nearest = (bucket) => {
+    const r = ((bucket >> 10) & 31) * 8 + 4;
+    const g = ((bucket >> 5) & 31) * 8 + 4;
+    const b = (bucket & 31) * 8 + 4;
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < chosen.length; i++) {
+      const dr = palette[i * 3] - r;
+      const dg = palette[i * 3 + 1] - g;
+      const db = palette[i * 3 + 2] - b;
+      const distance = dr * dr * 2 + dg * dg * 4 + db * db * 3;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = i;
+      }
+    }
+    return best;
+  };
+  
+  const indexes = new Uint8Array(rect.width * rect.height);
+  let i = 0;
+  for (let y = rect.y; y < rect.y + rect.height; y++) {
+    for (let x = rect.x; x < rect.x + rect.width; x++) {
+      const bucket = bucketOf((y * frameWidth + x) * 4);
+      if (lookup[bucket] === -1) {
+        lookup[bucket] = nearest(bucket);
+      }
+      indexes[i++] = lookup[bucket];
+    }
+  }
+  
+  return { palette, indexes, bits };
+}
+
+/**
+ * Animated GIF encoder
+ */
+export class GifEncoder {
+  /**
+   * @param {number} width - Frame width in pixels
+   * @param {number} height - Frame height in pixels
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.frames = [];
+    this.previousPixels = null;
+  }
+  
+  /**
+   * Add a frame
+   * @param {Uint8ClampedArray} pixels - RGBA pixels (ImageData.data) of the full frame
+   * @param {number} delay - How long to show the frame, in milliseconds
+   */
+  addFrame(pixels, delay) {
+    const rect = this.getChangedRect(pixels);
+    const centiseconds = Math.max(MIN_DELAY, Math.round(delay / 10));
+    
+    // Nothing changed; show the previous frame longer
+    if (!rect) {
+      this.frames[this.frames.length - 1].delay += centiseconds;
+      return;
+    }
+    
+    const { palette, indexes, bits } = quantize(pixels, this.width, rect);
+    this.frames.push({
+      rect,
+      palette,
+      bits,
+      data: lzwEncode(indexes, bits),
+      delay: centiseconds
+    });
+    this.previousPixels = new Uint8ClampedArray(pixels);
+  }
+  
+  /**
+   * Find the bounding rectangle of the pixels that differ from the previous frame
+   * @param {Uint8ClampedArray} pixels - RGBA pixels
+   * @returns {Object|null} { x, y, width, height }, the full frame for the first frame,
+   *   or null if nothing changed
+   */
+  getChangedRect(pixels) {
+    if (!this.previousPixels) {
+      return { x: 0, y: 0, width: this.width, height: this.height };
+    }
+    
+    let top = -1;
+    let bottom = -1;
+    let left = this.width;
+    let right = -1;
+    
+    for (let y = 0; y < this.height; y++) {
+      const rowStart = y * this.width * 4;
+      for (let x = 0; x < this.width; x++) {
+        const offset = rowStart + x * 4;
+        if (pixels[offset] !== this.previousPixels[offset] ||
+            pixels[offset + 1] !== this.previousPixels[offset + 1] ||
+            pixels[offset + 2] !== this.previousPixels[offset + 2]) {
+          if (top === -1) top = y;
+          bottom = y;
+          if (x < left) left = x;
+          if (x > right) right = x;
+        }
+      }
+    }
+    
+    if (top === -1) {
+      return null;
+    }
+    
+    return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+  }
+  
+  /**
+   * Write the GIF file
+   * @returns {Blob} Animated GIF that loops forever
+   */
+  finish() {
+    const chunks = [];
+    const header = [];
+    const writeString = (text) => { for (let i = 0; i < text.length; i++) header.push(text.charCodeAt(i)); };
+    const writeShort = (target, value) => target.push(value & 0xFF, (value >> 8) & 0xFF);
+    
+    writeString('GIF89a');
+    writeShort(header, this.width);
+    writeShort(header, this.height);
+    header.push(0, 0, 0); // No global color table
+    
+    // Loop forever
+    header.push(0x21, 0xFF, 0x0B);
+    writeString('NETSCAPE2.0');
+    header.push(0x03, 0x01, 0x00, 0x00, 0x00);
+    chunks.push(Uint8Array.from(header));
+    
+    this.frames.forEach(frame => {
+      const descriptor = [];
+      
+      // Graphic control: keep the previous frame under partial frames
+      descriptor.push(0x21, 0xF9, 0x04, 0x04);
+      writeShort(descriptor, frame.delay);
+      descriptor.push(0x00, 0x00);
+      
+      // Image descriptor with a local color table
+      descriptor.push(0x2C);
+      writeShort(descriptor, frame.rect.x);
+      writeShort(descriptor, frame.rect.y);
+      writeShort(descriptor, frame.rect.width);
+      writeShort(descriptor, frame.rect.height);
+      descriptor.push(0x80 | (frame.bits - 1));
+      chunks.push(Uint8Array.from(descriptor), frame.palette);
+      
+      // Image data in sub-blocks of up to 255 bytes
+      const blockCount = Math.ceil(frame.data.length / 255);
+      const data = new Uint8Array(1 + frame.data.length + blockCount + 1);
+      data[0] = frame.bits;
+      let position = 1;
+      for (let offset = 0; offset < frame.data.length; offset += 255) {
+        const block = frame.data.subarray(offset, offset + 255);
+        data[position++] = block.length;
+        data.set(block, position);
+        position += block.length;
+      }
+      data[position] = 0x00;
+      chunks.push(data);
+    });
+    
+    chunks.push(Uint8Array.of(0x3B));
+    return new Blob(chunks, { type: 'image/gif' });
+  }
+}
\ No newline at end of file
@@ -0,0 +1,272 @@
+/*
+ * Copyright [2025] [Antony Soto]
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// SotoScribe - LMS Package Builder
+// Wraps the walkthrough player in a SCORM 1.2 or xAPI (Tin Can) package for learning management systems
+
+import { cleanXmlString } from '../shared/utils.js';
+import { ZipWriter } from './zip-writer.js';
+
+export const LMS_STANDARDS = {
+  scorm12: 'scorm12',
+  xapi: 'xapi'
+};
+
+/**
+ * SCORM 1.2 runtime: finds the LMS API, resumes at the bookmarked step, and reports
+ * progress and completion as the learner moves through the walkthrough
+ * @returns {string} Script source
+ */
+function getScormRuntimeScript() {
+  return `    (function() {
+      // Windows from another origin throw on access; skip them and keep walking up
+      function findApi(win) {
+        for (var depth = 0; win && depth < 10; depth++) {
+          try {
+            if (win.API) return win.API;
+          } catch (error) {
+            // Cross-origin frame
+          }
+          if (win.parent === win) break;
+          win = win.parent;
+        }
+        return null;
+      }
+      
+      var api = findApi(window) || (window.opener ? findApi(window.opener) : null);
+      var startTime = Date.now();
+      var completed = false;
+      var finished = false;
+      
+      if (!api) {
+        console.warn('SCORM API not found; progress will not be reported');
+        return;
+      }
+      
+      api.LMSInitialize('');
+      
+      var status = api.LMSGetValue('cmi.core.lesson_status');
+      completed = status === 'completed' || status === 'passed';
+      if (!completed) {
+        api.LMSSetValue('cmi.core.lesson_status', 'incomplete');
+      }
+      
+      // Resume where the learner left off
+      var bookmark = parseInt(api.LMSGetValue('cmi.core.lesson_location'), 10);
+      if (bookmark > 0 && !location.hash && history.replaceState) {
+        history.replaceState(null, '', '#step-' + bookmark);
+      }
+      
+      document.addEventListener('walkthroughstep', function(event) {
+        api.LMSSetValue('cmi.core.lesson_location', String(event.detail.index + 1));
+        if (!completed && event.detail.index === event.detail.total - 1) {
+          completed = true;
+          api.LMSSetValue('cmi.core.lesson_status', 'completed');
+        }
+        api.LMSCommit('');
+      });
+      
+      function formatTime(milliseconds) {
+        var seconds = Math.floor(milliseconds / 1000);
+        var hours = Math.floor(seconds / 3600);
+        var minutes = Math.floor((seconds % 3600) / 60);
+        var pad = function(value) { return (value < 10 ? '0' : '') + value; };
+        return (hours < 1000 ? ('000' + hours).slice(-4) : String(hours)) + ':' + pad(minutes) + ':' + pad(seconds % 60);
+      }
+      
+      function finish() {
+        if (finished) return;
+        finished = true;
+        api.LMSSetValue('cmi.core.session_time', formatTime(Date.now() - startTime));
+        api.LMSSetValue('cmi.core.exit', completed ? '' : 'suspend');
+        api.LMSCommit('');
+        api.LMSFinish('');
+      }
+      
+      window.addEventListener('pagehide', finish);
+      window.addEventListener('beforeunload', finish);
+    })();`;
+}
+
+/**
+ * xAPI runtime: reads the LRS settings from the launch URL (endpoint, auth, actor, registration)
+ * and sends initialized, progressed and completed statements
+ * @param {Object} activity - { id, name }
+ * @returns {string} Script source
+ */
+function getXapiRuntimeScript(activity) {
+  // Keep "</script>" in the title from closing the script block
+  const activityJson = JSON.stringify(activity).replace(/</g, '\\u003c');
+  
+  return `    (function() {
+      var params = new URLSearchParams(location.search);
+      var endpoint = params.get('endpoint');
+      var startTime = Date.now();
+      var completed = false;
+      var activity = ${activityJson};
+      var actor;
+      
+      try {
+        actor = JSON.parse(params.get('actor'));
+      } catch (error) {
+        actor = null;
+      }
+      
+      if (!endpoint || !actor) {
+        console.warn('xAPI launch parameters not found; statements will not be sent');
+        return;
+      }
+      
+      if (endpoint.charAt(endpoint.length - 1) !== '/') endpoint += '/';
+      if (Array.isArray(actor.name)) actor.name = actor.name[0];
+      if (Array.isArray(actor.mbox)) actor.mbox = actor.mbox[0];
+      if (Array.isArray(actor.account)) actor.account = actor.account[0];
+      
+      function send(verb, result, keepalive) {
+        var statement = {
+          actor: actor,
+          verb: { id: 'http://adlnet.gov/expapi/verbs/' + verb, display: { 'en-US': verb } },
+          object: {
+            objectType: 'Activity',
+            id: params.get('activity_id') || activity.id,
+            definition: { name: { 'en-US': activity.name }, type: 'http://adlnet.gov/expapi/activities/course' }
+          },
+          timestamp: new Date().toISOString()
+        };
+        if (result) statement.result = result;
+        if (params.get('registration')) statement.context = { registration: params.get('registration') };
+        
+        var headers = { 'Content-Type': 'application/json', 'X-Experience-API-Version': '1.0.3' };
+        if (params.get('auth')) headers.Authorization = params.get('auth');
+        
+        fetch(endpoint + 'statements', { method: 'POST', headers: headers, body: JSON.stringify(statement), keepalive: keepalive === true })
+          .catch(function(error) { console.error('Error sending xAPI statement:', error); });
+      }
+      
+      function duration() {
+        return 'PT' + Math.round((Date.now() - startTime) / 1000) + 'S';
+      }
+      
+      send('initialized');
+      
+      document.addEventListener('walkthroughstep', function(event) {
+        var progress = Math.round((event.detail.index + 1) / event.detail.total * 100);
+        send('progressed', { extensions: { 'https://w3id.org/xapi/cmi5/result/extensions/progress': progress } });
+        if (!completed && event.detail.index === event.detail.total - 1) {
+          completed = true;
+          send('completed', { completion: true, duration: duration() });
+        }
+      });
+      
+      window.addEventListener('pagehide', function() {
+        send('terminated', { duration: duration() }, true);
+      });
+    })();`;
+}
+
+/**
+ * Get the tracking script to embed in the launch page
+ * @param {string} standard - One of LMS_STANDARDS
+ * @param {Object} activity - { id, name }
+ * @returns {string} Script source
+ */
+export function getLmsTrackingScript(standard, activity) {
+  return standard === LMS_STANDARDS.xapi ? getXapiRuntimeScript(activity) : getScormRuntimeScript();
+}
+
+/**
+ * Add a Content Security Policy that only runs the launch page's own scripts. The page runs on
+ * the LMS origin, next to the SCORM API and with the xAPI credentials in its URL.
+ * @param {string} html - Launch page
+ * @returns {Promise<string>} Launch page with the policy
+ */
+async function addContentSecurityPolicy(html) {
+  const hashes = [];
+  for (const match of html.matchAll(/<script>([\s\S]*?)<\/script>/g)) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(match[1])));
+    hashes.push(`'sha256-${btoa(String.fromCharCode(...digest))}'`);
+  }
+  
+  // Screenshots are data URLs; xAPI statements go to the LRS endpoint given at launch
+  const policy = [
+    "default-src 'none'",
+    `script-src ${hashes.join(' ') || "'none'"}`,
+    "style-src 'unsafe-inline'",
+    'img-src data:',
+    'connect-src https: http:',
+    "base-uri 'none'",
+    "form-action 'none'"
+  ].join('; ');
+  
+  return html.replace('<meta charset="UTF-8">', `<meta charset="UTF-8">
+  <meta http-equiv="Content-Security-Policy" content="${policy}">`);
+}
+
+/**
+ * Build an LMS package around a launch page
+ * @param {string} standard - One of LMS_STANDARDS
+ * @param {Object} course - { id, title, description, launchHtml }
+ * @returns {Promise<Blob>} ZIP package
+ */
+export async function buildLmsPackage(standard, { id, title, description = '', launchHtml }) {
+  const zip = new ZipWriter();
+  
+  if (standard === LMS_STANDARDS.xapi) {
+    zip.addFile('tincan.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<tincan xmlns="http://projecttincan.com/tincan.xsd">
+  <activities>
+    <activity id="${cleanXmlString(id)}" type="http://adlnet.gov/expapi/activities/course">
+      <name>${cleanXmlString(title)}</name>
+      <description lang="en-US">${cleanXmlString(description)}</description>
+      <launch lang="en-US">index.html</launch>
+    </activity>
+  </activities>
+</tincan>
+`);
+  } else {
+    // Identifiers must be XML IDs: no colons, can't start with a digit
+    const identifier = `SotoScribe-${id.replace(/[^A-Za-z0-9_.-]/g, '-')}`;
+    zip.addFile('imsmanifest.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${identifier}" version="1.0"
+  xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.imsglobal.org/xsd/imsmd_rootv1p2p1 imsmd_rootv1p2p1.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>1.2</schemaversion>
+  </metadata>
+  <organizations default="${identifier}-org">
+    <organization identifier="${identifier}-org">
+      <title>${cleanXmlString(title)}</title>
+      <item identifier="${identifier}-item" identifierref="${identifier}-sco" isvisible="true">
+        <title>${cleanXmlString(title)}</title>
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="${identifier}-sco" type="webcontent" adlcp:scormtype="sco" href="index.html">
+      <file href="index.html"/>
+    </resource>
+  </resources>
+</manifest>
+`);
+  }
+  
+  zip.addFile('index.html', await addContentSecurityPolicy(launchHtml));
+  
+  return zip.generate();
+}
\ No newline at end of file
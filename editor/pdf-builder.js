@@ -0,0 +1,447 @@
+/*
+ * Copyright [2025] [Antony Soto]
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// SotoScribe - PDF Builder
+// Lays out workflow steps on print pages and writes a PDF file, entirely in the browser
+
+// US Letter in points, with room for the running header and footer
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 54;
+const HEADER_HEIGHT = 30;
+const FOOTER_HEIGHT = 30;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const CONTENT_TOP = PAGE_HEIGHT - MARGIN - HEADER_HEIGHT;
+const CONTENT_BOTTOM = MARGIN + FOOTER_HEIGHT;
+
+// Space between steps
+const STEP_GAP = 24;
+
+const COLORS = {
+  text: [0.2, 0.2, 0.2],
+  muted: [0.4, 0.4, 0.4],
+  accent: [0, 0.702, 0.643],
+  rule: [0.867, 0.867, 0.867]
+};
+
+// Glyph widths (per 1000 units) of the standard fonts for character codes 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica', widths: HELVETICA_WIDTHS },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold', widths: HELVETICA_BOLD_WIDTHS },
+  italic: { resource: 'F3', baseFont: 'Helvetica-Oblique', widths: HELVETICA_WIDTHS },
+  code: { resource: 'F4', baseFont: 'Courier', widths: null }
+};
+
+// Characters outside Latin-1 that WinAnsiEncoding can still show
+const WIN_ANSI_EXTRAS = {
+  '€': 128, '‚': 130, '„': 132, '…': 133, '‘': 145, '’': 146, '“': 147, '”': 148,
+  '•': 149, '–': 150, '—': 151, '™': 153
+};
+const EXTRA_WIDTHS = { 133: 1000, 145: 222, 146: 222, 147: 333, 148: 333, 149: 350, 151: 1000 };
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Map text to WinAnsiEncoding character codes
+ * @param {string} text - Text
+ * @returns {Array<number>} Character codes ('?' for anything the standard fonts can't show)
+ */
+function encodeText(text) {
+  return Array.from(String(text ?? '')).map(char => {
+    const code = char.codePointAt(0);
+    if (char === '\t') return 32;
+    if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) return code;
+    return WIN_ANSI_EXTRAS[char] || 63;
+  });
+}
+
+/**
+ * Measure encoded text
+ * @param {Array<number>} codes - Character codes
+ * @param {Object} font - Entry of FONTS
+ * @param {number} size - Font size in points
+ * @returns {number} Width in points
+ */
+function measure(codes, font, size) {
+  let units = 0;
+  codes.forEach(code => {
+    if (!font.widths) units += 600;
+    else if (code >= 32 && code <= 126) units += font.widths[code - 32];
+    else units += EXTRA_WIDTHS[code] || 556;
+  });
+  return (units * size) / 1000;
+}
+
+/**
+ * Write encoded text as a PDF literal string
+ * @param {Array<number>} codes - Character codes
+ * @returns {string} String operand
+ */
+function toPdfString(codes) {
+  return '(' + codes.map(code => {
+    if (code === 40 || code === 41 || code === 92) return '\\' + String.fromCharCode(code);
+    if (code > 126) return '\\' + code.toString(8).padStart(3, '0');
+    return String.fromCharCode(code);
+  }).join('') + ')';
+}
+
+/**
+ * Write a document information string as UTF-16BE hex
+ * @param {string} text - Text
+ * @returns {string} Hex string operand
+ */
+function toPdfTextString(text) {
+  let hex = 'FEFF';
+  for (let i = 0; i < text.length; i++) {
+    hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+  }
+  return `<${hex}>`;
+}
+
+/**
+ * Format a number for a content stream
+ * @param {number} value - Number
+ * @returns {string} Number with at most two decimals
+ */
+function num(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Wrap formatted runs into lines that fit a width
+ * @param {Array<Object>} runs - [{ text, bold, italic, code }]
+ * @param {number} size - Font size in points
+ * @param {number} maxWidth - Available width in points
+ * @returns {Array<Array<Object>>} Lines of { font, codes, width } segments
+ */
+function wrapRuns(runs, size, maxWidth) {
+  const lines = [[]];
+  let lineWidth = 0;
+  
+  const newLine = () => {
+    lines.push([]);
+    lineWidth = 0;
+  };
+  
+  const place = (font, codes) => {
+    const line = lines[lines.length - 1];
+    const last = line[line.length - 1];
+    const width = measure(codes, font, size);
+    
+    // Consecutive text in the same font is drawn as one segment
+    if (last && last.font === font) {
+      last.codes = last.codes.concat(codes);
+      last.width += width;
+    } else {
+      line.push({ font, codes, width });
+    }
+    lineWidth += width;
+  };
+  
+  runs.forEach(run => {
+    const font = run.code ? FONTS.code : run.bold ? FONTS.bold : run.italic ? FONTS.italic : FONTS.regular;
+    
+    String(run.text ?? '').split(/(\n|\s+)/).forEach(token => {
+      if (!token) return;
+      if (token === '\n') {
+        newLine();
+        return;
+      }
+      
+      let codes = encodeText(/^\s+$/.test(token) ? ' ' : token);
+      const isSpace = codes.length === 1 && codes[0] === 32;
+      
+      // Spaces never start a line
+      if (isSpace) {
+        if (lineWidth > 0 && lineWidth + measure(codes, font, size) <= maxWidth) {
+          place(font, codes);
+        }
+        return;
+      }
+      
+      const width = measure(codes, font, size);
+      if (lineWidth > 0 && lineWidth + width > maxWidth && width <= maxWidth) {
+        newLine();
+      }
+      
+      // Break words that are longer than a whole line, such as URLs
+      while (measure(codes, font, size) > maxWidth - lineWidth) {
+        let fit = 1;
+        while (fit < codes.length && measure(codes.slice(0, fit + 1), font, size) <= maxWidth - lineWidth) {
+          fit++;
+        }
+        place(font, codes.slice(0, fit));
+        codes = codes.slice(fit);
+        newLine();
+      }
+      
+      if (codes.length > 0) {
+        place(font, codes);
+      }
+    });
+  });
+  
+  // Trailing spaces don't count towards the layout
+  return lines.map(line => {
+    const last = line[line.length - 1];
+    while (last && last.codes[last.codes.length - 1] === 32) {
+      last.codes.pop();
+    }
+    return line;
+  });
+}
+
+/**
+ * Build content stream operators for wrapped lines
+ * @param {Array<Array<Object>>} lines - Output of wrapRuns
+ * @param {number} x - Left edge
+ * @param {number} y - Baseline of the first line
+ * @param {number} size - Font size
+ * @param {number} leading - Distance between baselines
+ * @param {Array<number>} color - RGB fill color
+ * @returns {string} Operators
+ */
+function drawLines(lines, x, y, size, leading, color) {
+  const ops = [`${color.map(num).join(' ')} rg`];
+  lines.forEach((line, index) => {
+    let cursor = x;
+    line.forEach(segment => {
+      ops.push(`BT /${segment.font.resource} ${size} Tf ${num(cursor)} ${num(y - index * leading)} Td ${toPdfString(segment.codes)} Tj ET`);
+      cursor += segment.width;
+    });
+  });
+  return ops.join('\n');
+}
+
+/**
+ * Compress a content stream with the native CompressionStream
+ * @param {Uint8Array} bytes - Data
+ * @returns {Promise<Uint8Array>} zlib data for /FlateDecode
+ */
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Build a PDF document of workflow steps
+ * Each step (heading, details and screenshot) is kept on a single page; screenshots are
+ * scaled down when needed so a step always fits.
+ * @param {Object} document - Document definition
+ * @param {string} document.title - Title on the first page, in every header and in the document info
+ * @param {string} document.subtitle - Line below the title on the first page
+ * @param {string} document.date - Generation date shown in every header
+ * @param {Array<Object>} document.steps - [{ label, runs, details: [{ label, text }], note: runs,
+ *   image: { bytes, width, height } }] where image bytes are JPEG
+ * @returns {Promise<Blob>} PDF file
+ */
+export async function buildPdfDocument({ title, subtitle = '', date = '', steps }) {
+  const pages = [];
+  const images = [];
+  let page = null;
+  let y = 0;
+  
+  const addPage = () => {
+    page = { ops: [], imageNames: [] };
+    pages.push(page);
+    y = CONTENT_TOP;
+  };
+  
+  addPage();
+  
+  // Title block on the first page
+  const titleLines = wrapRuns([{ text: title, bold: true }], 22, CONTENT_WIDTH);
+  page.ops.push(drawLines(titleLines, MARGIN, y - 22, 22, 28, COLORS.text));
+  y -= titleLines.length * 28 + 6;
+  if (subtitle) {
+    page.ops.push(drawLines(wrapRuns([{ text: subtitle }], 11, CONTENT_WIDTH), MARGIN, y - 11, 11, 14, COLORS.muted));
+    y -= 20;
+  }
+  page.ops.push(`${COLORS.accent.map(num).join(' ')} RG 1.5 w ${MARGIN} ${num(y)} m ${MARGIN + CONTENT_WIDTH} ${num(y)} l S`);
+  y -= STEP_GAP;
+  
+  steps.forEach(step => {
+    // Measure the text parts first so the screenshot can take what is left
+    const labelLines = wrapRuns([{ text: step.label, bold: true }], 10, CONTENT_WIDTH);
+    const instructionLines = wrapRuns(step.runs, 13, CONTENT_WIDTH);
+    const detailLines = (step.details || []).map(detail =>
+      wrapRuns([{ text: `${detail.label}: `, bold: true }, { text: detail.text }], 9, CONTENT_WIDTH)
+    );
+    const noteLines = step.note ? wrapRuns(step.note, 10, CONTENT_WIDTH - 10) : [];
+    
+    const textHeight = 14 + instructionLines.length * 17 + 4 +
+      detailLines.reduce((sum, lines) => sum + lines.length * 12, 0) +
+      (noteLines.length > 0 ? 8 + noteLines.length * 13 : 0);
+    
+    let imageWidth = 0;
+    let imageHeight = 0;
+    if (step.image) {
+      const maxHeight = CONTENT_TOP - CONTENT_BOTTOM - textHeight - 10;
+      imageWidth = CONTENT_WIDTH;
+      imageHeight = (step.image.height / step.image.width) * imageWidth;
+      if (imageHeight > maxHeight) {
+        imageHeight = maxHeight;
+        imageWidth = (step.image.width / step.image.height) * imageHeight;
+      }
+    }
+    
+    const blockHeight = textHeight + (step.image ? imageHeight + 10 : 0);
+    
+    // Never split a step across pages
+    if (y - blockHeight < CONTENT_BOTTOM && y < CONTENT_TOP) {
+      addPage();
+    }
+    
+    page.ops.push(drawLines(labelLines, MARGIN, y - 10, 10, 14, COLORS.accent));
+    y -= 14;
+    page.ops.push(drawLines(instructionLines, MARGIN, y - 13, 13, 17, COLORS.text));
+    y -= instructionLines.length * 17 + 4;
+    
+    detailLines.forEach(lines => {
+      page.ops.push(drawLines(lines, MARGIN, y - 9, 9, 12, COLORS.muted));
+      y -= lines.length * 12;
+    });
+    
+    if (noteLines.length > 0) {
+      y -= 8;
+      const noteHeight = noteLines.length * 13;
+      page.ops.push(`${COLORS.accent.map(num).join(' ')} rg ${MARGIN} ${num(y - noteHeight + 2)} 2.5 ${num(noteHeight)} re f`);
+      page.ops.push(drawLines(noteLines, MARGIN + 10, y - 10, 10, 13, COLORS.text));
+      y -= noteHeight;
+    }
+    
+    if (step.image) {
+      y -= 10;
+      images.push(step.image);
+      const name = `Im${images.length}`;
+      const x = MARGIN + (CONTENT_WIDTH - imageWidth) / 2;
+      page.ops.push(`q ${num(imageWidth)} 0 0 ${num(imageHeight)} ${num(x)} ${num(y - imageHeight)} cm /${name} Do Q`);
+      page.ops.push(`${COLORS.rule.map(num).join(' ')} RG 0.75 w ${num(x)} ${num(y - imageHeight)} ${num(imageWidth)} ${num(imageHeight)} re S`);
+      page.imageNames.push(name);
+      y -= imageHeight;
+    }
+    
+    y -= STEP_GAP;
+  });
+  
+  // Running header and footer, now that the page count is known
+  const headerTitle = wrapRuns([{ text: title }], 9, CONTENT_WIDTH * 0.7)[0];
+  const dateCodes = encodeText(date);
+  pages.forEach(({ ops }, index) => {
+    const headerY = PAGE_HEIGHT - MARGIN - 9;
+    ops.unshift(
+      drawLines([headerTitle], MARGIN, headerY, 9, 12, COLORS.muted),
+      `${COLORS.muted.map(num).join(' ')} rg BT /F1 9 Tf ${num(MARGIN + CONTENT_WIDTH - measure(dateCodes, FONTS.regular, 9))} ${headerY} Td ${toPdfString(dateCodes)} Tj ET`,
+      `${COLORS.rule.map(num).join(' ')} RG 0.5 w ${MARGIN} ${headerY - 8} m ${MARGIN + CONTENT_WIDTH} ${headerY - 8} l S`
+    );
+    
+    const footer = encodeText(`Page ${index + 1} of ${pages.length}`);
+    const footerX = (PAGE_WIDTH - measure(footer, FONTS.regular, 9)) / 2;
+    ops.push(`${COLORS.muted.map(num).join(' ')} rg BT /F1 9 Tf ${num(footerX)} ${MARGIN} Td ${toPdfString(footer)} Tj ET`);
+  });
+  
+  // Object numbers: catalog, page tree, info, fonts, images, then a page and its contents per page
+  const fontList = Object.values(FONTS);
+  const fontObject = (index) => 4 + index;
+  const imageObject = (index) => 4 + fontList.length + index;
+  const pageObject = (index) => 4 + fontList.length + images.length + index * 2;
+  const objects = [];
+  
+  objects[1] = textEncoder.encode('<< /Type /Catalog /Pages 2 0 R >>');
+  objects[2] = textEncoder.encode(`<< /Type /Pages /Count ${pages.length} /Kids [${pages.map((entry, i) => `${pageObject(i)} 0 R`).join(' ')}] >>`);
+  objects[3] = textEncoder.encode(`<< /Title ${toPdfTextString(title)} /Producer (SotoScribe) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`);
+  
+  fontList.forEach((font, i) => {
+    objects[fontObject(i)] = textEncoder.encode(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`);
+  });
+  
+  images.forEach((image, i) => {
+    objects[imageObject(i)] = [
+      textEncoder.encode(`<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>\nstream\n`),
+      image.bytes,
+      textEncoder.encode('\nendstream')
+    ];
+  });
+  
+  const fontResources = fontList.map((font, i) => `/${font.resource} ${fontObject(i)} 0 R`).join(' ');
+  const canDeflate = typeof CompressionStream !== 'undefined';
+  
+  for (let i = 0; i < pages.length; i++) {
+    const { ops, imageNames } = pages[i];
+    const xObjects = imageNames.map(name => `/${name} ${imageObject(Number(name.slice(2)) - 1)} 0 R`).join(' ');
+    objects[pageObject(i)] = textEncoder.encode(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << ${fontResources} >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> ` +
+      `/Contents ${pageObject(i) + 1} 0 R >>`
+    );
+    
+    const content = textEncoder.encode(ops.join('\n'));
+    const data = canDeflate ? await deflate(content) : content;
+    objects[pageObject(i) + 1] = [
+      textEncoder.encode(`<< /Length ${data.length}${canDeflate ? ' /Filter /FlateDecode' : ''} >>\nstream\n`),
+      data,
+      textEncoder.encode('\nendstream')
+    ];
+  }
+  
+  // Serialize with a cross-reference table of byte offsets
+  // The binary comment marks the file as containing 8-bit data
+  const chunks = [new Uint8Array([...textEncoder.encode('%PDF-1.4\n%'), 0xE2, 0xE3, 0xCF, 0xD3, 0x0A])];
+  const offsets = [];
+  let length = chunks[0].length;
+  
+  for (let number = 1; number < objects.length; number++) {
+    offsets[number] = length;
+    const parts = [textEncoder.encode(`${number} 0 obj\n`), ...[].concat(objects[number]), textEncoder.encode('\nendobj\n')];
+    parts.forEach(part => {
+      chunks.push(part);
+      length += part.length;
+    });
+  }
+  
+  const xref = [
+    'xref',
+    `0 ${objects.length}`,
+    '0000000000 65535 f ',
+    ...offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length} /Root 1 0 R /Info 3 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF',
+    ''
+  ].join('\n');
+  chunks.push(textEncoder.encode(xref));
+  
+  return new Blob(chunks, { type: 'application/pdf' });
+}
\ No newline at end of file
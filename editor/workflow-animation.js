@@ -0,0 +1,309 @@
+/*
+ * Copyright [2025] [Antony Soto]
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// SotoScribe - Workflow Animation
+// Renders steps as animation frames (screenshot, click pulse and caption) for the GIF and WebM exports
+
+import { markdownToPlainText } from '../shared/utils.js';
+import { GifEncoder } from './gif-encoder.js';
+
+const CAPTION_HEIGHT = 84;
+const PROGRESS_HEIGHT = 4;
+const PULSE_PERIOD = 1200;
+const FONT_FAMILY = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', sans-serif";
+
+/**
+ * Decode a step screenshot
+ * @param {Object} step - Workflow step
+ * @returns {Promise<ImageBitmap|null>} Decoded image, or null for steps without one
+ */
+async function loadStepImage(step) {
+  if (step.type === 'tab_switch' || !step.screenshot) {
+    return null;
+  }
+  
+  try {
+    const blob = await (await fetch(step.screenshot)).blob();
+    return await createImageBitmap(blob);
+  } catch (error) {
+    console.error("Error decoding screenshot for animation:", error);
+    return null;
+  }
+}
+
+/**
+ * Pick the frame size from the first screenshot, keeping dimensions even for video encoders
+ * @param {Array} steps - Workflow steps
+ * @param {number} maxWidth - Largest frame width
+ * @returns {Promise<Object>} { width, height, imageHeight }
+ */
+async function getFrameSize(steps, maxWidth) {
+  let width = maxWidth;
+  let imageHeight = Math.round(maxWidth * 9 / 16);
+  
+  for (const step of steps) {
+    const image = await loadStepImage(step);
+    if (!image) continue;
+    width = Math.min(maxWidth, image.width);
+    imageHeight = Math.round(width * image.height / image.width);
+    image.close();
+    break;
+  }
+  
+  width -= width % 2;
+  imageHeight -= imageHeight % 2;
+  return { width, height: imageHeight + CAPTION_HEIGHT, imageHeight };
+}
+
+/**
+ * Wrap text to a number of lines, ending with an ellipsis if it doesn't fit
+ * @param {CanvasRenderingContext2D} ctx - Context with the font set
+ * @param {string} text - Text
+ * @param {number} maxWidth - Line width
+ * @param {number} maxLines - Line limit
+ * @returns {Array<string>} Lines
+ */
+function wrapText(ctx, text, maxWidth, maxLines) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = '';
+  
+  for (let i = 0; i < words.length; i++) {
+    const candidate = line ? `${line} ${words[i]}` : words[i];
+    if (ctx.measureText(candidate).width <= maxWidth || !line) {
+      line = candidate;
+      continue;
+    }
+    
+    if (lines.length === maxLines - 1) {
+      line = `${line} ${words.slice(i).join(' ')}`;
+      break;
+    }
+    lines.push(line);
+    line = words[i];
+  }
+  
+  if (line) {
+    // Trim the last line to fit, with an ellipsis
+    if (ctx.measureText(line).width > maxWidth) {
+      while (line.length > 1 && ctx.measureText(`${line}…`).width > maxWidth) {
+        line = line.slice(0, -1);
+      }
+      line = `${line.trimEnd()}…`;
+    }
+    lines.push(line);
+  }
+  
+  return lines;
+}
+
+/**
+ * Draw one animation frame
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} frame - { width, height, imageHeight }
+ * @param {Object} scene - { step, image, index, total, caption }
+ * @param {number} elapsed - Time into the step in milliseconds
+ * @param {number} stepDuration - Step duration in milliseconds
+ */
+function drawFrame(ctx, frame, scene, elapsed, stepDuration) {
+  const { step, image, index, total, caption } = scene;
+  
+  ctx.fillStyle = '#f5f5f5';
+  ctx.fillRect(0, 0, frame.width, frame.height);
+  
+  if (image) {
+    // Fit the screenshot into the image area
+    const scale = Math.min(frame.width / image.width, frame.imageHeight / image.height);
+    const drawWidth = image.width * scale;
+    const drawHeight = image.height * scale;
+    const x = (frame.width - drawWidth) / 2;
+    const y = (frame.imageHeight - drawHeight) / 2;
+    ctx.drawImage(image, x, y, drawWidth, drawHeight);
+    
+    const position = step.clickPosition;
+    if (position && position.viewportWidth && position.viewportHeight) {
+      const pointX = x + (position.x / position.viewportWidth) * drawWidth;
+      const pointY = y + (position.y / position.viewportHeight) * drawHeight;
+      const phase = (elapsed % PULSE_PERIOD) / PULSE_PERIOD;
+      
+      // Expanding ring
+      ctx.beginPath();
+      ctx.arc(pointX, pointY, 10 + 26 * phase, 0, Math.PI * 2);
+      ctx.strokeStyle = `rgba(255, 87, 34, ${0.9 * (1 - phase)})`;
+      ctx.lineWidth = 4;
+      ctx.stroke();
+      
+      // Click point
+      ctx.beginPath();
+      ctx.arc(pointX, pointY, 7, 0, Math.PI * 2);
+      ctx.fillStyle = 'rgba(255, 87, 34, 0.9)';
+      ctx.fill();
+      ctx.strokeStyle = '#ffffff';
+      ctx.lineWidth = 2;
+      ctx.stroke();
+      
+      // Cursor arrow with its tip on the click point
+      ctx.beginPath();
+      ctx.moveTo(pointX, pointY);
+      ctx.lineTo(pointX, pointY + 22);
+      ctx.lineTo(pointX + 6, pointY + 17);
+      ctx.lineTo(pointX + 10, pointY + 26);
+      ctx.lineTo(pointX + 14, pointY + 24);
+      ctx.lineTo(pointX + 10, pointY + 15);
+      ctx.lineTo(pointX + 17, pointY + 15);
+      ctx.closePath();
+      ctx.fillStyle = '#000000';
+      ctx.fill();
+      ctx.strokeStyle = '#ffffff';
+      ctx.lineWidth = 1.5;
+      ctx.stroke();
+    }
+  } else {
+    // Steps without a screenshot (tab switches) show the page they lead to
+    ctx.fillStyle = '#666666';
+    ctx.font = `20px ${FONT_FAMILY}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(step.title || step.url || '', frame.width / 2, frame.imageHeight / 2, frame.width - 40);
+    ctx.textAlign = 'left';
+  }
+  
+  // Caption bar
+  const captionTop = frame.imageHeight;
+  ctx.fillStyle = '#1F2D2B';
+  ctx.fillRect(0, captionTop, frame.width, CAPTION_HEIGHT);
+  
+  const badge = `${index + 1}/${total}`;
+  ctx.font = `bold 16px ${FONT_FAMILY}`;
+  ctx.textBaseline = 'middle';
+  const badgeWidth = ctx.measureText(badge).width + 20;
+  ctx.fillStyle = '#00B3A4';
+  ctx.beginPath();
+  ctx.roundRect(16, captionTop + CAPTION_HEIGHT / 2 - 14, badgeWidth, 28, 14);
+  ctx.fill();
+  ctx.fillStyle = '#ffffff';
+  ctx.fillText(badge, 26, captionTop + CAPTION_HEIGHT / 2);
+  
+  ctx.font = `20px ${FONT_FAMILY}`;
+  const textLeft = 16 + badgeWidth + 14;
+  const lines = wrapText(ctx, caption, frame.width - textLeft - 16, 2);
+  const lineHeight = 26;
+  const firstLineY = captionTop + (CAPTION_HEIGHT - PROGRESS_HEIGHT) / 2 - ((lines.length - 1) * lineHeight) / 2;
+  lines.forEach((line, i) => ctx.fillText(line, textLeft, firstLineY + i * lineHeight));
+  
+  // Progress through the whole workflow
+  const progress = (index + Math.min(1, elapsed / stepDuration)) / total;
+  ctx.fillStyle = '#00B3A4';
+  ctx.fillRect(0, frame.height - PROGRESS_HEIGHT, frame.width * progress, PROGRESS_HEIGHT);
+}
+
+/**
+ * Render a workflow as an animated GIF
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - { stepDuration (ms), fps, maxWidth }
+ * @returns {Promise<Blob>} GIF file
+ */
+export async function renderWorkflowGif(steps, options = {}) {
+  const { stepDuration = 3000, fps = 8, maxWidth = 800 } = options;
+  const frame = await getFrameSize(steps, maxWidth);
+  const canvas = new OffscreenCanvas(frame.width, frame.height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const encoder = new GifEncoder(frame.width, frame.height);
+  const frameDuration = 1000 / fps;
+  const framesPerStep = Math.max(1, Math.round(stepDuration / frameDuration));
+  
+  for (let index = 0; index < steps.length; index++) {
+    const step = steps[index];
+    const image = await loadStepImage(step);
+    const scene = { step, image, index, total: steps.length, caption: markdownToPlainText(step.instruction) };
+    
+    for (let i = 0; i < framesPerStep; i++) {
+      drawFrame(ctx, frame, scene, i * frameDuration, stepDuration);
+      encoder.addFrame(ctx.getImageData(0, 0, frame.width, frame.height).data, frameDuration);
+    }
+    
+    if (image) image.close();
+    
+    // Let the editor repaint between steps
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  
+  return encoder.finish();
+}
+
+/**
+ * Render a workflow as a WebM video by recording a canvas in real time
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - { stepDuration (ms), fps, maxWidth }
+ * @returns {Promise<Blob>} WebM file
+ */
+export async function renderWorkflowWebm(steps, options = {}) {
+  const { stepDuration = 3000, fps = 30, maxWidth = 1280 } = options;
+  const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+    .find(type => MediaRecorder.isTypeSupported(type));
+  
+  if (!mimeType) {
+    throw new Error('This browser cannot record WebM video');
+  }
+  
+  const frame = await getFrameSize(steps, maxWidth);
+  const canvas = document.createElement('canvas');
+  canvas.width = frame.width;
+  canvas.height = frame.height;
+  const ctx = canvas.getContext('2d');
+  
+  const recorder = new MediaRecorder(canvas.captureStream(fps), { mimeType, videoBitsPerSecond: 4000000 });
+  const chunks = [];
+  const stopped = new Promise((resolve, reject) => {
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    recorder.onstop = resolve;
+    recorder.onerror = (event) => reject(event.error);
+  });
+  
+  // Decode the next screenshot while the current step plays
+  const loadScene = async (index) => {
+    const step = steps[index];
+    return { step, image: await loadStepImage(step), index, total: steps.length, caption: markdownToPlainText(step.instruction) };
+  };
+  let nextScene = steps.length > 0 ? loadScene(0) : null;
+  
+  // Avoid a black first frame while the first screenshot decodes
+  ctx.fillStyle = '#f5f5f5';
+  ctx.fillRect(0, 0, frame.width, frame.height);
+  recorder.start();
+  
+  for (let index = 0; index < steps.length; index++) {
+    const scene = await nextScene;
+    nextScene = index + 1 < steps.length ? loadScene(index + 1) : null;
+    
+    const start = performance.now();
+    let elapsed = 0;
+    while (elapsed < stepDuration) {
+      drawFrame(ctx, frame, scene, elapsed, stepDuration);
+      await new Promise(resolve => setTimeout(resolve, 1000 / fps));
+      elapsed = performance.now() - start;
+    }
+    
+    if (scene.image) scene.image.close();
+  }
+  
+  recorder.stop();
+  await stopped;
+  
+  return new Blob(chunks, { type: 'video/webm' });
+}
\ No newline at end of file
@@ -0,0 +1,205 @@
+/*
+ * Copyright [2025] [Antony Soto]
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// SotoScribe - XLSX Builder
+// Writes a single-sheet Office Open XML workbook with embedded pictures, entirely in the browser
+
+import { cleanXmlString } from '../shared/utils.js';
+import { ZipWriter } from './zip-writer.js';
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// 1 pixel in English Metric Units, the unit of drawing offsets
+const EMU_PER_PIXEL = 9525;
+
+// Cell style indexes in styles.xml
+const STYLE_HEADER = 1;
+const STYLE_WRAP = 2;
+
+/**
+ * Convert a zero-based column index to its letter (0 -> A, 26 -> AA)
+ * @param {number} index - Column index
+ * @returns {string} Column letter
+ */
+function columnLetter(index) {
+  let letter = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+}
+
+/**
+ * Build an XLSX workbook
+ * @param {Object} workbook - Workbook definition
+ * @param {string} workbook.sheetName - Worksheet name
+ * @param {Array<Object>} workbook.columns - [{ header, width }] with width in characters
+ * @param {Array<Array>} workbook.rows - Data rows (numbers stay numeric, everything else is text)
+ * @param {Array<Object>} workbook.images - [{ row, column, bytes, width, height, extension }] placed at
+ *   zero-based data row and column; width and height in pixels
+ * @param {string} workbook.title - Document title for the core properties
+ * @returns {Promise<Blob>} Workbook file
+ */
+export async function buildXlsxWorkbook({ sheetName = 'Sheet1', columns, rows, images = [], title = '' }) {
+  const sharedStrings = [];
+  const sharedStringIndex = new Map();
+  
+  const stringIndex = (value) => {
+    const text = String(value ?? '');
+    if (!sharedStringIndex.has(text)) {
+      sharedStringIndex.set(text, sharedStrings.length);
+      sharedStrings.push(text);
+    }
+    return sharedStringIndex.get(text);
+  };
+  
+  // Rows holding a picture are made tall enough to show it
+  const rowHeights = new Map();
+  images.forEach(image => {
+    const heightInPoints = Math.ceil((image.height + 8) * 0.75);
+    rowHeights.set(image.row, Math.max(rowHeights.get(image.row) || 0, heightInPoints));
+  });
+  
+  const cell = (value, rowNumber, columnIndex, style) => {
+    const ref = `${columnLetter(columnIndex)}${rowNumber}`;
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return `<c r="${ref}" s="${style}"><v>${value}</v></c>`;
+    }
+    return `<c r="${ref}" s="${style}" t="s"><v>${stringIndex(value)}</v></c>`;
+  };
+  
+  const headerRow = `<row r="1">${columns.map((column, i) => cell(column.header, 1, i, STYLE_HEADER)).join('')}</row>`;
+  const dataRows = rows.map((row, rowIndex) => {
+    const rowNumber = rowIndex + 2;
+    const height = rowHeights.get(rowIndex);
+    const heightAttributes = height ? ` ht="${height}" customHeight="1"` : '';
+    return `<row r="${rowNumber}"${heightAttributes}>${row.map((value, i) => cell(value, rowNumber, i, STYLE_WRAP)).join('')}</row>`;
+  });
+  
+  const lastRef = `${columnLetter(columns.length - 1)}${rows.length + 1}`;
+  
+  const sheetXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<dimension ref="A1:${lastRef}"/>
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<sheetFormatPr defaultRowHeight="15"/>
+<cols>${columns.map((column, i) => `<col min="${i + 1}" max="${i + 1}" width="${column.width || 15}" customWidth="1"/>`).join('')}</cols>
+<sheetData>${headerRow}${dataRows.join('')}</sheetData>
+${images.length > 0 ? '<drawing r:id="rId1"/>' : ''}
+</worksheet>`;
+
+  const sharedStringsXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" count="${sharedStrings.length}" uniqueCount="${sharedStrings.length}">${sharedStrings.map(text => `<si><t xml:space="preserve">${cleanXmlString(text)}</t></si>`).join('')}</sst>`;
+
+  const zip = new ZipWriter();
+  const imageExtensions = new Set(images.map(image => image.extension));
+  
+  zip.addFile('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+${Array.from(imageExtensions).map(extension => `<Default Extension="${extension}" ContentType="${extension === 'png' ? 'image/png' : 'image/jpeg'}"/>`).join('\n')}
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+<Override PartName="/xl/sharedStrings.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sharedStrings+xml"/>
+${images.length > 0 ? '<Override PartName="/xl/drawings/drawing1.xml" ContentType="application/vnd.openxmlformats-officedocument.drawing+xml"/>' : ''}
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`);
+
+  zip.addFile('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`);
+
+  zip.addFile('docProps/core.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${cleanXmlString(title)}</dc:title>
+<dc:creator>SotoScribe</dc:creator>
+<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created>
+</cp:coreProperties>`);
+
+  zip.addFile('xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${cleanXmlString(sheetName.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`);
+
+  zip.addFile('xl/_rels/workbook.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+<Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/sharedStrings" Target="sharedStrings.xml"/>
+</Relationships>`);
+
+  zip.addFile('xl/styles.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill><fill><patternFill patternType="solid"><fgColor rgb="FFE0F2F1"/><bgColor indexed="64"/></patternFill></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="3">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf>
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`);
+
+  zip.addFile('xl/sharedStrings.xml', sharedStringsXml);
+  zip.addFile('xl/worksheets/sheet1.xml', sheetXml);
+  
+  if (images.length > 0) {
+    zip.addFile('xl/worksheets/_rels/sheet1.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/drawing" Target="../drawings/drawing1.xml"/>
+</Relationships>`);
+
+    const anchors = images.map((image, i) => {
+      const cx = image.width * EMU_PER_PIXEL;
+      const cy = image.height * EMU_PER_PIXEL;
+      return `<xdr:oneCellAnchor>
+<xdr:from><xdr:col>${image.column}</xdr:col><xdr:colOff>${4 * EMU_PER_PIXEL}</xdr:colOff><xdr:row>${image.row + 1}</xdr:row><xdr:rowOff>${4 * EMU_PER_PIXEL}</xdr:rowOff></xdr:from>
+<xdr:ext cx="${cx}" cy="${cy}"/>
+<xdr:pic>
+<xdr:nvPicPr><xdr:cNvPr id="${i + 2}" name="Picture ${i + 1}"/><xdr:cNvPicPr><a:picLocks noChangeAspect="1"/></xdr:cNvPicPr></xdr:nvPicPr>
+<xdr:blipFill><a:blip r:embed="rId${i + 1}"/><a:stretch><a:fillRect/></a:stretch></xdr:blipFill>
+<xdr:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></xdr:spPr>
+</xdr:pic>
+<xdr:clientData/>
+</xdr:oneCellAnchor>`;
+    });
+    
+    zip.addFile('xl/drawings/drawing1.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<xdr:wsDr xmlns:xdr="http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+${anchors.join('\n')}
+</xdr:wsDr>`);
+
+    zip.addFile('xl/drawings/_rels/drawing1.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${images.map((image, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="../media/image${i + 1}.${image.extension}"/>`).join('\n')}
+</Relationships>`);
+
+    images.forEach((image, i) => {
+      zip.addFile(`xl/media/image${i + 1}.${image.extension}`, image.bytes, { compress: false });
+    });
+  }
+  
+  return zip.generate(XLSX_MIME_TYPE);
+}
\ No newline at end of file
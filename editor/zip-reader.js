@@ -0,0 +1,99 @@
+/*
+ * Copyright [2025] [Antony Soto]
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// SotoScribe - Zip Reader
+// Reads ZIP archives in the browser for importing packaged workflows
+
+import { crc32 } from './zip-writer.js';
+
+const textDecoder = new TextDecoder();
+
+/**
+ * Inflate raw-deflated data with the native DecompressionStream
+ * @param {Uint8Array} bytes - Compressed data
+ * @returns {Promise<Uint8Array>} Decompressed data
+ */
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read every file of a ZIP archive. Supports stored and deflated entries.
+ * @param {Blob|ArrayBuffer} data - Archive
+ * @returns {Promise<Map<string, Uint8Array>>} File contents keyed by path
+ */
+export async function readZip(data) {
+  const buffer = data instanceof Blob ? await data.arrayBuffer() : data;
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  
+  // The end of central directory record sits within the last 64KB (its comment is at most 65535 bytes)
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+    if (view.getUint32(i, true) === 0x06054B50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new Error('Not a ZIP file');
+  }
+  
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const files = new Map();
+  
+  for (let index = 0; index < count; index++) {
+    if (view.getUint32(offset, true) !== 0x02014B50) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    
+    const method = view.getUint16(offset + 10, true);
+    const checksum = view.getUint32(offset + 16, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const path = textDecoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+    
+    // Directories carry no data
+    if (path.endsWith('/')) continue;
+    
+    // The local header's name and extra field can differ in length from the central record
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const payload = bytes.subarray(dataStart, dataStart + compressedSize);
+    
+    let content;
+    if (method === 0) {
+      content = payload;
+    } else if (method === 8) {
+      content = await inflateRaw(payload);
+    } else {
+      throw new Error(`Unsupported compression method ${method} for ${path}`);
+    }
+    
+    if (crc32(content) !== checksum) {
+      throw new Error(`Checksum mismatch for ${path}`);
+    }
+    
+    files.set(path, content);
+  }
+  
+  return files;
+}
\ No newline at end of file
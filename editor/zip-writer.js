@@ -0,0 +1,167 @@
+/*
+ * Copyright [2025] [Antony Soto]
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// SotoScribe - Zip Writer
+// Builds ZIP archives in the browser for the packaged export formats (XLSX, DOCX, ZIP bundles)
+
+const textEncoder = new TextEncoder();
+
+// CRC-32 lookup table (IEEE polynomial)
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Compute the CRC-32 checksum of a byte array
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned checksum
+ */
+export function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Raw-deflate a byte array with the native CompressionStream
+ * @param {Uint8Array} bytes - Data
+ * @returns {Promise<Uint8Array>} Compressed data
+ */
+async function deflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @param {Date} date - Timestamp
+ * @returns {Object} { time, date }
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+export class ZipWriter {
+  constructor() {
+    this.entries = [];
+    this.modified = toDosDateTime(new Date());
+  }
+  
+  // Add a file; strings are stored as UTF-8. Already-compressed data (images)
+  // should pass compress: false.
+  addFile(path, data, options = {}) {
+    const bytes = typeof data === 'string' ? textEncoder.encode(data) : data;
+    this.entries.push({
+      path,
+      bytes,
+      compress: options.compress !== false
+    });
+  }
+  
+  // Build the archive
+  async generate(mimeType = 'application/zip') {
+    const canDeflate = typeof CompressionStream !== 'undefined';
+    const chunks = [];
+    const centralDirectory = [];
+    let offset = 0;
+    
+    for (const entry of this.entries) {
+      const name = textEncoder.encode(entry.path);
+      const checksum = crc32(entry.bytes);
+      
+      let method = 0; // Stored
+      let payload = entry.bytes;
+      if (entry.compress && canDeflate && entry.bytes.length > 0) {
+        const deflated = await deflateRaw(entry.bytes);
+        if (deflated.length < entry.bytes.length) {
+          method = 8; // Deflate
+          payload = deflated;
+        }
+      }
+      
+      const header = {
+        method,
+        checksum,
+        compressedSize: payload.length,
+        size: entry.bytes.length,
+        name
+      };
+      
+      chunks.push(this.createLocalHeader(header), payload);
+      centralDirectory.push(this.createCentralHeader(header, offset));
+      offset += 30 + name.length + payload.length;
+    }
+    
+    const directorySize = centralDirectory.reduce((total, record) => total + record.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+    
+    return new Blob([...chunks, ...centralDirectory, end.buffer], { type: mimeType });
+  }
+  
+  // Local file header preceding each file's data
+  createLocalHeader(header) {
+    const view = new DataView(new ArrayBuffer(30 + header.name.length));
+    view.setUint32(0, 0x04034B50, true);
+    view.setUint16(4, 20, true); // Version needed to extract
+    view.setUint16(6, 0x0800, true); // UTF-8 file names
+    view.setUint16(8, header.method, true);
+    view.setUint16(10, this.modified.time, true);
+    view.setUint16(12, this.modified.date, true);
+    view.setUint32(14, header.checksum, true);
+    view.setUint32(18, header.compressedSize, true);
+    view.setUint32(22, header.size, true);
+    view.setUint16(26, header.name.length, true);
+    new Uint8Array(view.buffer).set(header.name, 30);
+    return new Uint8Array(view.buffer);
+  }
+  
+  // Central directory record pointing at a local header
+  createCentralHeader(header, offset) {
+    const view = new DataView(new ArrayBuffer(46 + header.name.length));
+    view.setUint32(0, 0x02014B50, true);
+    view.setUint16(4, 20, true); // Version made by
+    view.setUint16(6, 20, true); // Version needed to extract
+    view.setUint16(8, 0x0800, true);
+    view.setUint16(10, header.method, true);
+    view.setUint16(12, this.modified.time, true);
+    view.setUint16(14, this.modified.date, true);
+    view.setUint32(16, header.checksum, true);
+    view.setUint32(20, header.compressedSize, true);
+    view.setUint32(24, header.size, true);
+    view.setUint16(28, header.name.length, true);
+    view.setUint32(42, offset, true);
+    new Uint8Array(view.buffer).set(header.name, 46);
+    return new Uint8Array(view.buffer);
+  }
+}
\ No newline at end of file
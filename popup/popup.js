@@ -23,22 +23,40 @@ import { config } from '../shared/config.js';
 // DOM elements
 let startButton;
 let stopButton;
+let pauseButton;
+let resumeButton;
 let statusText;
 let diagnosticsLink;
+let liveViewLink;
+let importLink;
+let currentWindowId = null;
 let salesforceMode;
+let resilienceMode;
 
 // Initialization
 document.addEventListener('DOMContentLoaded', async () => {
   // Get DOM elements
   startButton = document.getElementById('startCapture');
   stopButton = document.getElementById('stopCapture');
+  pauseButton = document.getElementById('pauseCapture');
+  resumeButton = document.getElementById('resumeCapture');
   statusText = document.getElementById('status');
   diagnosticsLink = document.getElementById('diagnosticsLink');
+  liveViewLink = document.getElementById('liveViewLink');
+  importLink = document.getElementById('importLink');
   salesforceMode = document.getElementById('salesforceMode');
+  resilienceMode = document.getElementById('resilienceMode');
+  
+  // Remember the window so the side panel can open synchronously on click
+  // (chrome.sidePanel.open must run directly in the user gesture)
+  chrome.windows.getCurrent().then(currentWindow => {
+    currentWindowId = currentWindow.id;
+  });
   
   // Get the current state
   const state = await getCurrentState();
   updateUI(state);
+  resilienceMode.checked = state.resilienceEnabled === true;
   
   // Check if we're on Salesforce
   const isSalesforce = await checkIfSalesforce();
@@ -61,6 +79,11 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Add event listeners
   startButton.addEventListener('click', startCapture);
   stopButton.addEventListener('click', stopCapture);
+  pauseButton.addEventListener('click', pauseCapture);
+  resumeButton.addEventListener('click', resumeCapture);
+  liveViewLink.addEventListener('click', openLiveView);
+  importLink.addEventListener('click', openEditorForImport);
+  resilienceMode.addEventListener('change', toggleResilienceMode);
   
   // Show diagnostics link only in debug mode
   if (config.DEBUG_MODE && diagnosticsLink) {
@@ -130,6 +153,42 @@ async function stopCapture() {
   window.close();
 }
 
+// Pause capturing without ending the session
+async function pauseCapture() {
+  log("User requested to pause capture");
+  
+  await chrome.runtime.sendMessage({ action: 'pauseCapture' });
+  
+  // Close popup
+  window.close();
+}
+
+// Resume a paused session
+async function resumeCapture() {
+  log("User requested to resume capture");
+  
+  await chrome.runtime.sendMessage({ action: 'resumeCapture' });
+  
+  // Close popup
+  window.close();
+}
+
+// Open the side panel that shows steps as they are captured
+function openLiveView() {
+  if (currentWindowId === null) return;
+  
+  chrome.sidePanel.open({ windowId: currentWindowId })
+    .then(() => window.close())
+    .catch(error => console.error("Error opening live view:", error));
+}
+
+// Open an empty editor to import a workflow exported as JSON
+function openEditorForImport() {
+  chrome.tabs.create({ url: chrome.runtime.getURL('editor/editor.html') })
+    .then(() => window.close())
+    .catch(error => console.error("Error opening editor:", error));
+}
+
 // Toggle Salesforce enhanced mode
 function toggleSalesforceMode() {
   const enhanced = salesforceMode.checked;
@@ -147,6 +206,18 @@ function toggleSalesforceMode() {
   }
 }
 
+// Toggle mirroring of the session into chrome.storage.session
+function toggleResilienceMode() {
+  const enabled = resilienceMode.checked;
+  
+  chrome.runtime.sendMessage({
+    action: 'setResilienceMode',
+    enabled: enabled
+  });
+  
+  log(`User ${enabled ? 'enabled' : 'disabled'} resilience mode`);
+}
+
 // Show diagnostics info
 function showDiagnostics() {
   chrome.runtime.sendMessage({ action: 'getDiagnostics' }, (response) => {
@@ -170,8 +241,20 @@ function updateUI(state) {
   if (state.isCapturing) {
     startButton.style.display = 'none';
     stopButton.style.display = 'block';
-    statusText.textContent = 'Recording in progress';
-    statusText.classList.add('recording');
+    pauseButton.style.display = state.isPaused ? 'none' : 'block';
+    resumeButton.style.display = state.isPaused ? 'block' : 'none';
+    liveViewLink.style.display = 'block';
+    importLink.style.display = 'none';
+    
+    if (state.isPaused) {
+      statusText.textContent = 'Recording paused';
+      statusText.classList.remove('recording');
+      statusText.classList.add('paused');
+    } else {
+      statusText.textContent = 'Recording in progress';
+      statusText.classList.remove('paused');
+      statusText.classList.add('recording');
+    }
     
     // Disable Salesforce mode toggle during recording
     if (salesforceMode) {
@@ -180,6 +263,10 @@ function updateUI(state) {
   } else {
     startButton.style.display = 'block';
     stopButton.style.display = 'none';
+    pauseButton.style.display = 'none';
+    resumeButton.style.display = 'none';
+    liveViewLink.style.display = 'none';
+    importLink.style.display = 'block';
     
     if (state.stepsCount > 0) {
       statusText.textContent = `${state.stepsCount} steps captured. Recording stopped.`;
@@ -187,7 +274,7 @@ function updateUI(state) {
       statusText.textContent = 'Ready to capture';
     }
     
-    statusText.classList.remove('recording');
+    statusText.classList.remove('recording', 'paused');
     
     // Enable Salesforce mode toggle when not recording
     if (salesforceMode) {
@@ -26,7 +26,8 @@ export const config = {
     SALESFORCE_SUPPORT: true,
     SHADOW_DOM_SUPPORT: true,
     SCREENSHOT_FALLBACK: true,
-    SENSITIVE_DATA_MASKING: true
+    SENSITIVE_DATA_MASKING: true,
+    SCREENSHOT_REDACTION: true
   },
   
   // Timing settings
@@ -55,7 +56,17 @@ export const config = {
     SALESFORCE_SCREENSHOT_QUALITY: 100,
     HIGHLIGHT_BORDER_COLOR: '#00B3A4',
     HIGHLIGHT_SHADOW_COLOR: 'rgba(0, 179, 164, 0.4)',
-    CLICK_INDICATOR_COLOR: 'rgba(255, 0, 0, 0.2)'
+    CLICK_INDICATOR_COLOR: 'rgba(255, 0, 0, 0.2)',
+    
+    // Screenshot redaction of sensitive fields ('blackout' or 'pixelate')
+    REDACTION_MODE: 'blackout',
+    REDACTION_PIXEL_SIZE: 16,
+    REDACTION_PADDING: 4,
+
+    // Duplicate screenshot suppression (difference hash)
+    // Similarity is 0-100; screenshots at or above the threshold reuse the previous image
+    HASH_SIMILARITY_THRESHOLD: 90,
+    HASH_SIZE: 16 // Hash is HASH_SIZE x HASH_SIZE bits
   },
   
   // Domain detection settings
@@ -87,6 +98,9 @@ export const config = {
   }
 };
 
+// Name of the long-lived port between the side panel and the background
+export const SIDE_PANEL_PORT_NAME = 'sotoscribe-sidepanel';
+
 // Function to get a configured value with optional override
 export function getConfig(path, defaultValue = null) {
   try {
@@ -256,6 +256,24 @@ export async function compressScreenshot(dataUrl, quality = 85) {
   });
 }
 
+/**
+ * Convert a Blob to a data URL without FileReader or DOM APIs (safe in service workers)
+ * @param {Blob} blob - Blob to convert
+ * @returns {Promise<string>} Base64 data URL
+ */
+export async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const chunkSize = 0x8000;
+  let binary = '';
+  
+  // Build the binary string in chunks to avoid call stack limits on large images
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  
+  return `data:${blob.type || 'application/octet-stream'};base64,${btoa(binary)}`;
+}
+
 /**
  * Truncate text to a maximum length
  * @param {string} text - Text to truncate
@@ -270,12 +288,14 @@ export function truncateText(text, maxLength = 100) {
 
 /**
  * Clean XML special characters from a string
+ * Control characters that XML 1.0 does not allow are dropped.
  * @param {string} str - String to clean
  * @returns {string} Cleaned string
  */
 export function cleanXmlString(str) {
   if (!str) return '';
-  return str
+  return String(str)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
     .replace(/&/g, '&amp;')
     .replace(/</g, '&lt;')
     .replace(/>/g, '&gt;')
@@ -284,24 +304,73 @@ export function cleanXmlString(str) {
 }
 
 /**
- * Convert markdown to HTML
+ * Split instruction markdown into formatted runs in a single pass.
+ * Quoted text (typed values, which may be masked like "j***e@example.com") is kept
+ * literally, and a delimiter touching another delimiter or a word character is not markup.
+ * @param {string} markdown - Instruction markdown
+ * @returns {Array<Object>} [{ text, bold, italic, code }]
+ */
+export function parseInlineMarkdown(markdown) {
+  const source = markdown || '';
+  const pattern = /"[^"\n]*"|`([^`\n]+)`|(?<![*\w])\*\*(?![\s*])([^\n]+?)(?<![\s*])\*\*(?!\*)|(?<![*\w])\*(?![\s*])([^*\n]+?)(?<![\s*])\*(?![*\w])|(?<!\w)_(?![\s_])([^_\n]+?)(?<![\s_])_(?!\w)/g;
+  const runs = [];
+  let lastIndex = 0;
+  let match;
+  
+  const pushText = text => {
+    const previous = runs[runs.length - 1];
+    if (previous && !previous.bold && !previous.italic && !previous.code) {
+      previous.text += text;
+    } else if (text) {
+      runs.push({ text });
+    }
+  };
+  
+  while ((match = pattern.exec(source)) !== null) {
+    pushText(source.slice(lastIndex, match.index));
+    if (match[1] !== undefined) runs.push({ text: match[1], code: true });
+    else if (match[2] !== undefined) runs.push({ text: match[2], bold: true });
+    else if (match[3] !== undefined || match[4] !== undefined) runs.push({ text: match[3] ?? match[4], italic: true });
+    else pushText(match[0]);
+    lastIndex = pattern.lastIndex;
+  }
+  pushText(source.slice(lastIndex));
+  
+  return runs;
+}
+
+/**
+ * Convert markdown to HTML. Text is escaped before the formatting tags are added,
+ * so recorded values and edited instructions can't inject markup.
  * @param {string} markdown - Markdown text
  * @returns {string} HTML
  */
 export function markdownToHtml(markdown) {
   if (!markdown) return '';
   
-  // Convert ** to <strong>
-  let html = markdown.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-  
-  // Convert * to <em>
-  html = html.replace(/\*(.*?)\*/g, '<em>$1</em>');
-  
-  // Convert ` to <code>
-  html = html.replace(/`(.*?)`/g, '<code>$1</code>');
+  const html = parseInlineMarkdown(markdown).map(run => {
+    let text = cleanXmlString(run.text);
+    if (run.code) text = `<code>${text}</code>`;
+    if (run.italic) text = `<em>${text}</em>`;
+    if (run.bold) text = `<strong>${text}</strong>`;
+    return text;
+  }).join('');
   
   // Convert newlines to <br>
-  html = html.replace(/\n/g, '<br>');
+  return html.replace(/\n/g, '<br>');
+}
+
+/**
+ * Convert instruction markdown to plain text
+ * @param {string} markdown - Markdown text
+ * @returns {string} Plain text
+ */
+export function markdownToPlainText(markdown) {
+  if (!markdown) return '';
   
-  return html;
+  return parseInlineMarkdown(markdown)
+    .map(run => run.text)
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
 }
\ No newline at end of file
@@ -0,0 +1,433 @@
+/*
+ * Copyright [2025] [Antony Soto]
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// SotoScribe - Workflow Schema
+// Versioned JSON format for a whole workflow, with validation and migrations
+
+import { config } from './config.js';
+import { generateUniqueId } from './utils.js';
+
+export const WORKFLOW_FORMAT = 'sotoscribe-workflow';
+
+// Bump when the document shape changes and add a migration from the previous version
+export const WORKFLOW_SCHEMA_VERSION = 1;
+
+// Step types produced by the capture handlers
+const STEP_TYPES = ['navigate', 'click', 'input', 'keyboard', 'form_submit', 'ui_change', 'tab_switch', 'manual'];
+
+const integerOrNull = { type: ['integer', 'null'] };
+const stringOrNull = { type: ['string', 'null'] };
+
+/**
+ * JSON Schema (draft 2020-12) of the current workflow document version.
+ * Screenshots are stored once in `assets`, either inline as base64 or as a path to a
+ * file shipped next to the document, and steps refer to them by asset id.
+ */
+export const WORKFLOW_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `urn:sotoscribe:schema:workflow:${WORKFLOW_SCHEMA_VERSION}`,
+  title: 'SotoScribe workflow',
+  type: 'object',
+  required: ['format', 'schemaVersion', 'metadata', 'assets', 'steps'],
+  additionalProperties: false,
+  properties: {
+    format: { const: WORKFLOW_FORMAT },
+    schemaVersion: { const: WORKFLOW_SCHEMA_VERSION },
+    metadata: { $ref: '#/$defs/metadata' },
+    assets: { type: 'array', items: { $ref: '#/$defs/asset' } },
+    steps: { type: 'array', items: { $ref: '#/$defs/step' } }
+  },
+  $defs: {
+    metadata: {
+      type: 'object',
+      required: ['id', 'title', 'createdAt', 'stepCount'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string' },
+        title: { type: 'string' },
+        description: { type: 'string' },
+        createdAt: { type: 'string', format: 'date-time' },
+        exportedAt: { type: 'string', format: 'date-time' },
+        stepCount: { type: 'integer', minimum: 0 },
+        generator: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: { type: 'string' },
+            version: { type: 'string' }
+          }
+        }
+      }
+    },
+    asset: {
+      type: 'object',
+      required: ['id', 'mediaType'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string', pattern: '^[A-Za-z0-9._-]+$' },
+        mediaType: { type: 'string', pattern: '^image/[a-z0-9.+-]+$' },
+        encoding: { const: 'base64' },
+        data: { type: 'string' },
+        path: { type: 'string', pattern: '^[^/\\\\][^\\\\]*$' }
+      },
+      oneOf: [
+        { required: ['encoding', 'data'] },
+        { required: ['path'] }
+      ]
+    },
+    rect: {
+      type: 'object',
+      required: ['x', 'y', 'width', 'height'],
+      properties: {
+        x: { type: 'number' },
+        y: { type: 'number' },
+        width: { type: 'number', minimum: 0 },
+        height: { type: 'number', minimum: 0 }
+      }
+    },
+    locator: {
+      type: 'object',
+      required: ['strategy', 'value'],
+      properties: {
+        strategy: { type: 'string' },
+        value: { type: ['string', 'object', 'array'] },
+        selector: { type: 'string' },
+        matches: { type: 'integer', minimum: 0 },
+        unique: { type: 'boolean' }
+      }
+    },
+    annotation: {
+      type: 'object',
+      required: ['type', 'x', 'y'],
+      properties: {
+        type: { enum: ['annotation', 'clickTarget'] },
+        x: { type: 'number' },
+        y: { type: 'number' },
+        radius: { type: 'number', minimum: 0 },
+        text: { type: 'string' },
+        timestamp: { type: 'integer' }
+      }
+    },
+    redaction: {
+      allOf: [{ $ref: '#/$defs/rect' }],
+      type: 'object',
+      required: ['source', 'method'],
+      properties: {
+        source: { enum: ['capture', 'editor'] },
+        method: { enum: ['blackout', 'pixelate', 'blur'] },
+        rule: stringOrNull,
+        timestamp: { type: 'integer' }
+      }
+    },
+    step: {
+      type: 'object',
+      required: ['id', 'type', 'timestamp', 'instruction', 'screenshot'],
+      properties: {
+        id: { type: 'string' },
+        type: { enum: STEP_TYPES },
+        timestamp: { type: 'integer' },
+        instruction: { type: 'string' },
+        expectedResult: { type: 'string' },
+        isVerification: { type: 'boolean' },
+        url: { type: 'string' },
+        title: { type: 'string' },
+        frameId: integerOrNull,
+        frameUrl: { type: 'string' },
+        framePath: { type: ['array', 'null'], items: { type: 'string' } },
+        tabId: integerOrNull,
+        tabIndex: integerOrNull,
+        windowId: integerOrNull,
+        fromTabId: integerOrNull,
+        isNewTab: { type: 'boolean' },
+        isPopup: { type: 'boolean' },
+        screenshot: {
+          type: ['object', 'null'],
+          required: ['asset'],
+          additionalProperties: false,
+          properties: {
+            asset: { type: 'string' }
+          }
+        },
+        clickPosition: {
+          type: ['object', 'null'],
+          required: ['x', 'y'],
+          properties: {
+            x: { type: 'number' },
+            y: { type: 'number' },
+            viewportWidth: { type: 'number' },
+            viewportHeight: { type: 'number' }
+          }
+        },
+        elementInfo: { type: ['object', 'null'] },
+        locators: { type: 'array', items: { $ref: '#/$defs/locator' } },
+        isSensitive: { type: 'boolean' },
+        actualValue: stringOrNull,
+        maskedValue: stringOrNull,
+        maskRule: stringOrNull,
+        maskReason: stringOrNull,
+        annotations: { type: 'array', items: { $ref: '#/$defs/annotation' } },
+        redactions: { type: 'array', items: { $ref: '#/$defs/redaction' } }
+      }
+    }
+  }
+};
+
+/**
+ * Migrations keyed by the schema version they upgrade from. Each returns a document
+ * of a later version; migrateWorkflowDocument keeps applying them until it is current.
+ * Version 0 is a bare array of steps, as held by the editor and StateManager.
+ */
+const MIGRATIONS = {
+  0: steps => {
+    if (!steps.every(step => step && typeof step === 'object' && !Array.isArray(step))) {
+      throw new Error('The workflow steps are not objects');
+    }
+    return createWorkflowDocument(steps);
+  }
+};
+
+/**
+ * Get the JSON type name of a value as used by JSON Schema
+ * @param {*} value - Value to inspect
+ * @returns {string} Type name
+ */
+function getJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check a value against the subset of JSON Schema used by WORKFLOW_SCHEMA
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} path - Location of the value, for error messages
+ * @param {string[]} errors - Collected error messages
+ */
+function checkSchema(value, schema, path, errors) {
+  if (schema.$ref) {
+    const name = schema.$ref.replace('#/$defs/', '');
+    checkSchema(value, WORKFLOW_SCHEMA.$defs[name], path, errors);
+    return;
+  }
+  
+  for (const part of schema.allOf || []) {
+    checkSchema(value, part, path, errors);
+  }
+  
+  if ('const' in schema && value !== schema.const) {
+    errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+    return;
+  }
+  
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    return;
+  }
+  
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    const type = getJsonType(value);
+    if (!allowed.includes(type) && !(type === 'integer' && allowed.includes('number'))) {
+      errors.push(`${path} must be of type ${allowed.join(' or ')}`);
+      return;
+    }
+    if (type === 'null') return;
+  }
+  
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} must be at least ${schema.minimum}`);
+  }
+  
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path} has an invalid format`);
+  }
+  
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => checkSchema(item, schema.items, `${path}[${index}]`, errors));
+  }
+  
+  if (getJsonType(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    }
+    
+    for (const [key, item] of Object.entries(value)) {
+      if (schema.properties && schema.properties[key]) {
+        checkSchema(item, schema.properties[key], `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+  
+  if (schema.oneOf) {
+    const matching = schema.oneOf.filter(option => {
+      const optionErrors = [];
+      checkSchema(value, option, path, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (matching.length !== 1) {
+      errors.push(`${path} must match exactly one of its allowed forms`);
+    }
+  }
+}
+
+/**
+ * Validate a workflow document against the current schema, including the
+ * references between steps and assets that JSON Schema can't express
+ * @param {Object} document - Workflow document
+ * @returns {Object} { valid, errors } where errors are readable messages
+ */
+export function validateWorkflowDocument(document) {
+  const errors = [];
+  checkSchema(document, WORKFLOW_SCHEMA, '$', errors);
+  
+  if (errors.length === 0) {
+    const assetIds = new Set();
+    document.assets.forEach((asset, index) => {
+      if (assetIds.has(asset.id)) errors.push(`$.assets[${index}].id "${asset.id}" is used more than once`);
+      assetIds.add(asset.id);
+    });
+    
+    document.steps.forEach((step, index) => {
+      if (step.screenshot && !assetIds.has(step.screenshot.asset)) {
+        errors.push(`$.steps[${index}].screenshot refers to missing asset "${step.screenshot.asset}"`);
+      }
+    });
+    
+    if (document.metadata.stepCount !== document.steps.length) {
+      errors.push(`$.metadata.stepCount is ${document.metadata.stepCount} but there are ${document.steps.length} steps`);
+    }
+  }
+  
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Upgrade a workflow document from any earlier schema version to the current one
+ * @param {Object|Array} document - Parsed workflow JSON
+ * @returns {Object} Document at WORKFLOW_SCHEMA_VERSION
+ */
+export function migrateWorkflowDocument(document) {
+  let migrated = document;
+  let version = Array.isArray(migrated) ? 0 : migrated?.schemaVersion;
+  
+  if (!Array.isArray(migrated) && migrated?.format !== WORKFLOW_FORMAT) {
+    throw new Error('This file is not a SotoScribe workflow');
+  }
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error('The workflow has no valid schemaVersion');
+  }
+  if (version > WORKFLOW_SCHEMA_VERSION) {
+    throw new Error(`The workflow uses schema version ${version}, this version of SotoScribe reads up to ${WORKFLOW_SCHEMA_VERSION}`);
+  }
+  
+  while (version < WORKFLOW_SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`No migration from workflow schema version ${version}`);
+    }
+    
+    migrated = migrate(migrated);
+    version = migrated.schemaVersion;
+  }
+  
+  return migrated;
+}
+
+/**
+ * Build a workflow document from editor steps. Screenshots become inline base64
+ * assets, and identical screenshots are stored once.
+ * @param {Array} steps - Workflow steps
+ * @param {Object} options - { id, title, description }
+ * @returns {Object} Workflow document at the current schema version
+ */
+export function createWorkflowDocument(steps, options = {}) {
+  const assets = [];
+  const assetIds = new Map();
+  const digits = String(steps.length).length;
+  
+  const documentSteps = steps.map((step, index) => {
+    const { screenshot, ...rest } = step;
+    const fields = JSON.parse(JSON.stringify(rest));
+    const match = typeof screenshot === 'string' && screenshot.match(/^data:([^;,]+);base64,(.*)$/s);
+    let asset = null;
+    
+    if (match) {
+      asset = assetIds.get(screenshot);
+      if (!asset) {
+        asset = `screenshot-${String(index + 1).padStart(digits, '0')}`;
+        assetIds.set(screenshot, asset);
+        assets.push({ id: asset, mediaType: match[1], encoding: 'base64', data: match[2] });
+      }
+    }
+    
+    return {
+      ...fields,
+      id: String(step.id || generateUniqueId()),
+      type: step.type,
+      timestamp: step.timestamp || 0,
+      instruction: step.instruction || '',
+      screenshot: asset ? { asset } : null
+    };
+  });
+  
+  const firstTimestamp = steps.find(step => step.timestamp)?.timestamp;
+  
+  return {
+    format: WORKFLOW_FORMAT,
+    schemaVersion: WORKFLOW_SCHEMA_VERSION,
+    metadata: {
+      id: options.id || generateUniqueId(),
+      title: options.title || 'SotoScribe Workflow Documentation',
+      ...(options.description && { description: options.description }),
+      createdAt: new Date(firstTimestamp || Date.now()).toISOString(),
+      exportedAt: new Date().toISOString(),
+      stepCount: documentSteps.length,
+      generator: { name: 'SotoScribe', version: config.VERSION }
+    },
+    assets,
+    steps: documentSteps
+  };
+}
+
+/**
+ * Turn a validated workflow document back into editor steps
+ * @param {Object} document - Workflow document at the current schema version
+ * @param {Object} files - Screenshot data URLs of path assets, keyed by path
+ * @returns {Array} Workflow steps with screenshots as data URLs
+ */
+export function getWorkflowSteps(document, files = {}) {
+  const screenshots = new Map();
+  
+  for (const asset of document.assets) {
+    if (asset.path) {
+      if (!files[asset.path]) {
+        throw new Error(`Screenshot file ${asset.path} is missing`);
+      }
+      screenshots.set(asset.id, files[asset.path]);
+    } else {
+      screenshots.set(asset.id, `data:${asset.mediaType};base64,${asset.data}`);
+    }
+  }
+  
+  return document.steps.map(step => ({
+    ...step,
+    screenshot: step.screenshot ? screenshots.get(step.screenshot.asset) : null
+  }));
+}
\ No newline at end of file
@@ -0,0 +1,194 @@
+/*
+ * Copyright [2025] [Antony Soto]
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// SotoScribe - Side Panel Live View
+// Shows steps as they are captured and lets the user delete or retitle them mid-recording
+
+import { log } from '../shared/logging.js';
+import { SIDE_PANEL_PORT_NAME } from '../shared/config.js';
+
+const RECONNECT_DELAY_MS = 1000;
+
+// Steps currently shown, in workflow order
+let steps = [];
+let port = null;
+
+// DOM elements
+let stepsContainer;
+let statusText;
+let emptyMessage;
+
+// Initialization
+document.addEventListener('DOMContentLoaded', () => {
+  stepsContainer = document.getElementById('steps');
+  statusText = document.getElementById('status');
+  emptyMessage = document.getElementById('empty');
+  
+  connect();
+  log("Side panel initialized");
+});
+
+// Open the long-lived port to the background and reconnect if the worker restarts
+function connect() {
+  port = chrome.runtime.connect({ name: SIDE_PANEL_PORT_NAME });
+  port.onMessage.addListener(handlePortMessage);
+  
+  port.onDisconnect.addListener(() => {
+    log("Side panel port disconnected, reconnecting");
+    port = null;
+    statusText.textContent = 'Reconnecting...';
+    setTimeout(connect, RECONNECT_DELAY_MS);
+  });
+}
+
+// Apply updates streamed from the StateManager
+function handlePortMessage(message) {
+  switch (message.type) {
+    case 'snapshot':
+      steps = message.steps;
+      updateStatus(message.state);
+      renderSteps(true);
+      break;
+    
+    case 'stepAdded':
+      insertStep(message.step);
+      renderSteps(true);
+      break;
+    
+    case 'stepUpdated':
+      steps = steps.map(step => step.id === message.step.id ? message.step : step);
+      renderSteps();
+      break;
+    
+    case 'stepRemoved':
+      steps = steps.filter(step => step.id !== message.stepId);
+      renderSteps();
+      break;
+    
+    case 'reset':
+      steps = [];
+      updateStatus(message.state);
+      renderSteps();
+      break;
+    
+    case 'state':
+      updateStatus(message.state);
+      break;
+  }
+}
+
+// Insert a step at the position the background reported (thumbnails can arrive out of order)
+function insertStep(step) {
+  if (steps.some(existing => existing.id === step.id)) return;
+  
+  const position = step.index >= 0 ? Math.min(step.index, steps.length) : steps.length;
+  steps.splice(position, 0, step);
+}
+
+// Show whether we're recording, paused or stopped
+function updateStatus(state) {
+  statusText.classList.remove('recording', 'paused');
+  
+  if (state.isCapturing && state.isPaused) {
+    statusText.textContent = 'Paused';
+    statusText.classList.add('paused');
+  } else if (state.isCapturing) {
+    statusText.textContent = 'Recording';
+    statusText.classList.add('recording');
+  } else {
+    statusText.textContent = 'Not recording';
+  }
+}
+
+// Render all steps, optionally scrolling to the newest one
+function renderSteps(scrollToEnd = false) {
+  // Keep the instruction being edited from losing focus on re-render
+  const active = document.activeElement;
+  if (active && active.classList.contains('step-instruction')) {
+    return;
+  }
+  
+  stepsContainer.innerHTML = '';
+  emptyMessage.style.display = steps.length === 0 ? 'block' : 'none';
+  
+  steps.forEach((step, index) => {
+    stepsContainer.appendChild(createStepElement(step, index));
+  });
+  
+  // Follow the newest step while recording
+  if (scrollToEnd) {
+    window.scrollTo(0, document.body.scrollHeight);
+  }
+}
+
+// Create the card for a single step
+function createStepElement(step, index) {
+  const stepElement = document.createElement('div');
+  stepElement.className = 'step';
+  if (step.type === 'tab_switch') {
+    stepElement.classList.add('tab-switch-step');
+  }
+  
+  const header = document.createElement('div');
+  header.className = 'step-header';
+  
+  const label = document.createElement('span');
+  label.textContent = `Step ${index + 1}${step.tabIndex ? ` · Tab ${step.tabIndex}` : ''}`;
+  
+  const deleteButton = document.createElement('button');
+  deleteButton.className = 'step-delete';
+  deleteButton.title = 'Delete Step';
+  deleteButton.textContent = '×';
+  deleteButton.addEventListener('click', () => {
+    sendToBackground({ type: 'deleteStep', stepId: step.id });
+  });
+  
+  header.appendChild(label);
+  header.appendChild(deleteButton);
+  stepElement.appendChild(header);
+  
+  if (step.thumbnail) {
+    const thumbnail = document.createElement('img');
+    thumbnail.className = 'step-thumbnail';
+    thumbnail.src = step.thumbnail;
+    thumbnail.alt = `Step ${index + 1}`;
+    stepElement.appendChild(thumbnail);
+  }
+  
+  // Editable instruction; changes are applied to the StateManager right away
+  const instruction = document.createElement('textarea');
+  instruction.className = 'step-instruction';
+  instruction.value = step.instruction;
+  instruction.placeholder = 'Enter instruction for this step...';
+  instruction.addEventListener('change', () => {
+    sendToBackground({ type: 'updateInstruction', stepId: step.id, instruction: instruction.value });
+  });
+  // Deferred so a click on another control (e.g. delete) lands before the re-render
+  instruction.addEventListener('blur', () => setTimeout(() => renderSteps(), 200));
+  
+  stepElement.appendChild(instruction);
+  return stepElement;
+}
+
+// Send an edit to the background
+function sendToBackground(message) {
+  if (!port) {
+    console.warn("Side panel not connected, edit dropped:", message.type);
+    return;
+  }
+  
+  port.postMessage(message);
+}
\ No newline at end of file